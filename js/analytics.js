@@ -4,6 +4,37 @@
  */
 
 const Analytics = (() => {
+    // Exercise ids completed by a workout record. Full workouts cover
+    // everything; single-exercise sessions cover their exercise (both sides)
+    // and routines the Big 3 exercises they included. Sessions skipped
+    // through to the end cover only the exercises whose reps were held.
+    function getCompletedExerciseIds(workout) {
+        if (!workout.completed) return workout.endReason === 'skipped' ? workout.exerciseIds || [] : [];
+        if (workout.mode === 'single') {
+            return workout.exerciseIds || Exercises.getGroupIds(workout.exerciseId);
+        }
+        if (workout.mode === 'routine') {
+            return workout.exerciseIds || [];
+        }
+        return Exercises.getAllExercises().map(ex => ex.id);
+    }
+
+    // A day counts as done when the Big 3 were all completed, in one
+    // full workout or one exercise at a time
+    function isDayComplete(dayWorkouts) {
+        const done = new Set(dayWorkouts.flatMap(getCompletedExerciseIds));
+        return Exercises.getAllExercises().every(ex => done.has(ex.id));
+    }
+
+    // Dates (YYYY-MM-DD) on which the Big 3 were completed
+    function getCompletedDates(workouts) {
+        const byDate = {};
+        workouts.forEach(w => {
+            (byDate[w.date] = byDate[w.date] || []).push(w);
+        });
+        return Object.keys(byDate).filter(date => isDayComplete(byDate[date]));
+    }
+
     // Generate calendar heatmap data
     async function getCalendarData(year, month) {
         const workouts = await Storage.getWorkoutsForMonth(year, month);
@@ -24,11 +55,10 @@ const Analytics = (() => {
 
             let status = 'none';
             if (dayWorkouts.length > 0) {
-                const isComplete = dayWorkouts.some(w => w.completed);
-                status = isComplete ? 'complete' : 'partial';
+                status = isDayComplete(dayWorkouts) ? 'complete' : 'partial';
             }
 
-            const isToday = dateStr === new Date().toISOString().split('T')[0];
+            const isToday = dateStr === Storage.toDateKey();
 
             calendarData.push({
                 day: day,
@@ -45,9 +75,7 @@ const Analytics = (() => {
     // Get weekly consistency score
     async function getWeeklyConsistency() {
         const workouts = await Storage.getWorkoutsForWeek();
-        const completedDays = new Set(
-            workouts.filter(w => w.completed).map(w => w.date)
-        );
+        const completedDays = new Set(getCompletedDates(workouts));
 
         return {
             completed: completedDays.size,
@@ -81,18 +109,73 @@ const Analytics = (() => {
         return data;
     }
 
+    // Pain after minus pain before for a workout with both checks, else null.
+    // Positive means the session flared things up.
+    function getPainChange(workout) {
+        if (!Number.isInteger(workout.painBefore) || !Number.isInteger(workout.painAfter)) return null;
+        return workout.painAfter - workout.painBefore;
+    }
+
+    // Average pain change per exercise (both sides together) and per level,
+    // from workouts with a pain check before and after
+    async function getPainChangeStats() {
+        const workouts = await Storage.getAll(Storage.STORES.WORKOUTS);
+        const byExercise = {};
+        const byLevel = {};
+        const changes = [];
+
+        const addTo = (groups, key, name, change) => {
+            const group = groups[key] = groups[key] || { id: key, name: name, sessions: 0, total: 0 };
+            group.sessions++;
+            group.total += change;
+        };
+
+        workouts.forEach(workout => {
+            const change = getPainChange(workout);
+            if (change === null) return;
+            changes.push(change);
+
+            const level = workout.level || 'standard';
+            addTo(byLevel, level, Exercises.getLevel(level).name, change);
+
+            // Main exercises only; the warm-up and cool-down are the same every time
+            const exercises = new Map();
+            (workout.exerciseLog || [])
+                .filter(entry => (entry.block || 'main') === 'main' && entry.reps.some(rep => rep.completed))
+                .forEach(entry => exercises.set(Exercises.getBaseId(entry.exerciseId), entry.name));
+            exercises.forEach((name, id) => addTo(byExercise, id, name, change));
+        });
+
+        const summarize = groups => Object.values(groups)
+            .map(({ total, ...group }) => ({ ...group, averageChange: Math.round((total / group.sessions) * 10) / 10 }))
+            .sort((a, b) => b.averageChange - a.averageChange);
+
+        return {
+            sessions: changes.length,
+            averageChange: changes.length > 0
+                ? Math.round((changes.reduce((a, b) => a + b, 0) / changes.length) * 10) / 10
+                : null,
+            byExercise: summarize(byExercise),
+            byLevel: summarize(byLevel)
+        };
+    }
+
     // Get progression journey
     async function getProgressionJourney() {
-        const progress = await Storage.getProgressHistory();
+        const progress = await Storage.getProgressByType('level-change', 'progression-change');
 
-        // Sort by timestamp and get level changes
+        // Level and other progression changes, newest first
         const journey = progress
-            .filter(p => p.type === 'level-change')
-            .sort((a, b) => a.timestamp - b.timestamp)
+            .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id)
             .map(p => ({
                 date: new Date(p.timestamp).toLocaleDateString(),
-                title: `Reached ${Exercises.getLevel(p.newLevel)?.name || p.newLevel}`,
-                detail: p.reason || 'Progression milestone'
+                title: p.newLevel
+                    ? `${p.direction === 'down' ? 'Stepped back to' : 'Reached'} ${Exercises.getLevel(p.newLevel)?.name || p.newLevel}`
+                    : p.title,
+                detail: p.type === 'progression-change'
+                    ? [Progression.SOURCES[p.source], p.newLevel ? p.title : null, p.reason, p.undone ? 'undone' : null]
+                        .filter(Boolean).join(' · ')
+                    : p.reason || 'Progression milestone'
             }));
 
         // Add start if no history
@@ -107,11 +190,142 @@ const Analytics = (() => {
         return journey;
     }
 
+    // Completed sitting break cycles per day for the last few days,
+    // against the daily goal
+    async function getSittingBreakStats(goal, days = 7) {
+        const habits = await Storage.getHabitsForRange(days);
+        const breaks = habits.filter(h => h.type === 'sitting-break');
+
+        const dayStats = [];
+        for (let i = days - 1; i >= 0; i--) {
+            const date = new Date();
+            date.setDate(date.getDate() - i);
+            const dateStr = Storage.toDateKey(date);
+            const count = breaks.filter(h => h.date === dateStr).length;
+            dayStats.push({
+                date: dateStr,
+                label: date.toLocaleDateString(undefined, { weekday: 'narrow' }),
+                breaks: count,
+                met: count >= goal
+            });
+        }
+
+        const total = dayStats.reduce((sum, day) => sum + day.breaks, 0);
+        return {
+            goal: goal,
+            days: dayStats,
+            total: total,
+            average: Math.round((total / days) * 10) / 10,
+            daysMet: dayStats.filter(day => day.met).length
+        };
+    }
+
+    // Walking minutes per day for the last few weeks, Sunday to Saturday,
+    // with weekly totals and whether each day hit the goal
+    async function getWalkingHistory(goal, weeks = 4) {
+        const today = new Date();
+        const start = new Date(today);
+        start.setDate(today.getDate() - today.getDay() - (weeks - 1) * 7);
+
+        const habits = await Storage.getHabitsForRange(weeks * 7);
+        const minutesByDate = {};
+        habits.filter(h => h.type === 'walking').forEach(h => {
+            minutesByDate[h.date] = (minutesByDate[h.date] || 0) + h.minutes;
+        });
+
+        const todayStr = Storage.toDateKey(today);
+        const days = [];
+        const weekTotals = [];
+        for (let i = 0; i < weeks * 7; i++) {
+            const date = new Date(start);
+            date.setDate(start.getDate() + i);
+            const dateStr = Storage.toDateKey(date);
+            const minutes = minutesByDate[dateStr] || 0;
+
+            days.push({
+                date: dateStr,
+                minutes: minutes,
+                isToday: dateStr === todayStr,
+                status: dateStr > todayStr ? 'future' : minutes >= goal ? 'complete' : minutes > 0 ? 'partial' : 'none'
+            });
+
+            if (i % 7 === 0) {
+                weekTotals.push({
+                    label: date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+                    minutes: 0,
+                    daysMet: 0
+                });
+            }
+            const week = weekTotals[weekTotals.length - 1];
+            week.minutes += minutes;
+            if (minutes >= goal) week.daysMet++;
+        }
+
+        return { goal, days, weeks: weekTotals };
+    }
+
+    // Morning check-ins grouped by sleep setup (position and pillow), with
+    // average first-hour pain, stiffness and pain logged later that day,
+    // least pain first: morning pain, averaged with the day's pain where it
+    // was logged (score). best is the setup that helps most once
+    // there are two setups with enough nights to compare.
+    const MIN_SLEEP_NIGHTS = 3;
+
+    async function getSleepStats(days = 30) {
+        const sleepLogs = await Storage.getSleepLogsForRange(days);
+        const painByDate = {};
+        (await getPainTrendData(days)).forEach(day => {
+            painByDate[day.date] = day.average;
+        });
+
+        const average = values => values.length > 0
+            ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10
+            : null;
+
+        const groups = {};
+        sleepLogs.forEach(log => {
+            const key = `${log.position}-${log.pillow}`;
+            const group = groups[key] = groups[key] || {
+                id: key,
+                name: Sleep.describeSetup(log),
+                recommended: Sleep.isRecommended(log),
+                logs: []
+            };
+            group.logs.push(log);
+        });
+
+        const setups = Object.values(groups)
+            .map(({ logs, ...group }) => {
+                const morningPain = average(logs.map(log => log.morningPain));
+                const dayPain = average(logs.filter(log => log.date in painByDate).map(log => painByDate[log.date]));
+                return {
+                    ...group,
+                    nights: logs.length,
+                    hours: average(logs.map(log => log.hours)),
+                    morningPain: morningPain,
+                    stiffnessMinutes: Math.round(average(logs.map(log => log.stiffnessMinutes))),
+                    dayPain: dayPain,
+                    score: dayPain === null ? morningPain : average([morningPain, dayPain])
+                };
+            })
+            .sort((a, b) => a.score - b.score || b.nights - a.nights);
+
+        const compared = setups.filter(setup => setup.nights >= MIN_SLEEP_NIGHTS);
+        return {
+            nights: sleepLogs.length,
+            setups: setups,
+            best: compared.length >= 2 ? compared[0] : null,
+            hours: average(sleepLogs.map(log => log.hours)),
+            morningPain: average(sleepLogs.map(log => log.morningPain))
+        };
+    }
+
     // Generate insights based on data
     async function getInsights() {
         const insights = [];
         const weeklyData = await getWeeklyConsistency();
         const painData = await getPainTrendData(14);
+        const painChange = await getPainChangeStats();
 
         // Consistency insight
         if (weeklyData.completed >= 5) {
@@ -149,6 +363,35 @@ const Analytics = (() => {
             }
         }
 
+        // Sessions that tend to flare things up
+        const flareUp = painChange.byExercise.find(group => group.sessions >= 3 && group.averageChange >= 1);
+        if (flareUp) {
+            insights.push({
+                icon: '⚠️',
+                text: `${flareUp.name} raises your pain by ${flareUp.averageChange} points on average. Consider an easier level or variation.`
+            });
+        } else if (painChange.sessions >= 3 && painChange.averageChange < 0) {
+            insights.push({
+                icon: '🌿',
+                text: `Your sessions lower your pain by ${Math.abs(painChange.averageChange)} points on average.`
+            });
+        }
+
+        // The sleep setup with the least pain, mornings and days
+        const sleep = await getSleepStats();
+        if (sleep.best) {
+            const worst = sleep.setups.filter(setup => setup.nights >= MIN_SLEEP_NIGHTS).pop();
+            const describePain = setup => setup.dayPain !== null
+                ? `${setup.morningPain}/10 morning pain and ${setup.dayPain}/10 through the day`
+                : `${setup.morningPain}/10 morning pain`;
+            if (worst.score > sleep.best.score) {
+                insights.push({
+                    icon: '😴',
+                    text: `Sleeping ${sleep.best.name} averages ${describePain(sleep.best)}, against ${describePain(worst)} for ${worst.name}.`
+                });
+            }
+        }
+
         // Default insight if none
         if (insights.length === 0) {
             insights.push({
@@ -167,9 +410,7 @@ const Analytics = (() => {
         if (workouts.length === 0) return 0;
 
         // Get unique completed dates
-        const completedDates = [...new Set(
-            workouts.filter(w => w.completed).map(w => w.date)
-        )].sort().reverse();
+        const completedDates = getCompletedDates(workouts).sort().reverse();
 
         if (completedDates.length === 0) return 0;
 
@@ -178,10 +419,10 @@ const Analytics = (() => {
         currentDate.setHours(0, 0, 0, 0);
 
         // Check if today or yesterday is in the list
-        const todayStr = currentDate.toISOString().split('T')[0];
+        const todayStr = Storage.toDateKey(currentDate);
         const yesterdayDate = new Date(currentDate);
         yesterdayDate.setDate(yesterdayDate.getDate() - 1);
-        const yesterdayStr = yesterdayDate.toISOString().split('T')[0];
+        const yesterdayStr = Storage.toDateKey(yesterdayDate);
 
         if (!completedDates.includes(todayStr) && !completedDates.includes(yesterdayStr)) {
             return 0; // Streak broken
@@ -191,7 +432,7 @@ const Analytics = (() => {
         let checkDate = completedDates.includes(todayStr) ? currentDate : yesterdayDate;
 
         while (true) {
-            const checkStr = checkDate.toISOString().split('T')[0];
+            const checkStr = Storage.toDateKey(checkDate);
             if (completedDates.includes(checkStr)) {
                 streak++;
                 checkDate.setDate(checkDate.getDate() - 1);
@@ -203,12 +444,6 @@ const Analytics = (() => {
         return streak;
     }
 
-    // Get sessions at current level
-    async function getSessionsAtLevel(level) {
-        const workouts = await Storage.getAll(Storage.STORES.WORKOUTS);
-        return workouts.filter(w => w.level === level && w.completed).length;
-    }
-
     // Render simple chart (no external library)
     function renderSimpleChart(container, data, options = {}) {
         if (!data || data.length === 0) {
@@ -267,10 +502,17 @@ const Analytics = (() => {
         getCalendarData,
         getWeeklyConsistency,
         getPainTrendData,
+        getPainChange,
+        getPainChangeStats,
         getProgressionJourney,
+        getSittingBreakStats,
+        getWalkingHistory,
+        getSleepStats,
         getInsights,
         calculateStreak,
-        getSessionsAtLevel,
+        getCompletedDates,
+        getCompletedExerciseIds,
+        isDayComplete,
         renderSimpleChart
     };
 })();
@@ -22,7 +22,11 @@ const App = (() => {
 
         // Load settings
         settings = await Storage.getSettings();
+        Settings.onChange(saved => Object.assign(settings, saved));
         applySettings();
+        Sounds.configure(settings);
+        await Sounds.loadCustomSounds();
+        Voice.configure(settings);
 
         // Setup navigation
         setupNavigation();
@@ -39,11 +43,15 @@ const App = (() => {
         updateGreeting();
         await updateConsistencyCard();
         updateLevelBadge();
-        resetTodayProgress(); // Initialize today's exercise progress
-        updateExerciseList();
+        await loadTodayProgress(); // Restore today's exercise progress
+        await refreshRegression();
+        await updateRoutineList();
+        watchDayRollover();
+        await checkForInterruptedWorkout();
 
         // Register service worker
         registerServiceWorker();
+        setupReminders();
 
         console.log('McGill Big 3 App initialized');
     }
@@ -119,6 +127,12 @@ const App = (() => {
             refreshProgressPage();
         } else if (pageName === 'pain-log') {
             refreshPainHistory();
+        } else if (pageName === 'habits') {
+            updateWalkingTotal();
+            updateSleepToday();
+        } else if (pageName === 'settings') {
+            updateWalkingPlanInfo();
+            loadReminderSchedules();
         }
     }
 
@@ -145,6 +159,9 @@ const App = (() => {
         const consistency = await Analytics.getWeeklyConsistency();
         elements.weeklyScore.textContent = `${consistency.completed}/7 days`;
         elements.consistencyFill.style.width = `${consistency.percentage}%`;
+
+        // A workout done today cancels today's scheduled workout reminders
+        refreshReminders();
     }
 
     // Update level badge
@@ -154,13 +171,15 @@ const App = (() => {
 
         badge.querySelector('.level-icon').textContent = level.icon;
         badge.querySelector('.level-text').textContent = level.name;
-        badge.querySelector('.level-detail').textContent = level.description;
+        // What the user actually does, which fine-tuning can take past the level's defaults
+        badge.querySelector('.level-detail').textContent =
+            Exercises.describeProgram(Exercises.getProgram(settings.level, false, { ...getProgramOptions(), regression: null }));
     }
 
     // Today's exercise completion tracking
     let todayProgress = {};
 
-    // Reset today's progress (called at init and on new day)
+    // Reset today's progress (before loading a day's sessions)
     function resetTodayProgress() {
         todayProgress = {};
         Exercises.getAllExercises().forEach(ex => {
@@ -168,16 +187,63 @@ const App = (() => {
         });
     }
 
-    // Get today's date key for storage
+    // Escape text for innerHTML. User-entered text can also arrive in a
+    // backup, so it never goes into markup as-is.
+    function escapeHtml(text) {
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return String(text).replace(/[&<>"']/g, char => entities[char]);
+    }
+
+    // Get today's local date key for storage
     function getTodayKey() {
-        return new Date().toISOString().split('T')[0];
+        return Storage.toDateKey();
+    }
+
+    // Rebuild today's progress from the sessions saved today
+    async function loadTodayProgress() {
+        resetTodayProgress();
+        progressDayKey = getTodayKey();
+
+        const workouts = await Storage.getWorkoutsForDate(progressDayKey);
+        workouts.forEach(workout => {
+            Analytics.getCompletedExerciseIds(workout).forEach(id => {
+                todayProgress[id] = true;
+            });
+        });
+    }
+
+    // Day the progress belongs to, so it rolls over at midnight
+    let progressDayKey = null;
+
+    async function checkDayRollover() {
+        if (getTodayKey() === progressDayKey) return;
+
+        await loadTodayProgress();
+        updateGreeting();
+        await updateConsistencyCard();
+        if (!workoutInProgress) await refreshRegression();
+    }
+
+    // Check again just after the next local midnight, and whenever the app
+    // comes back into view (timers can be held back while it's hidden)
+    function scheduleDayRollover() {
+        const midnight = new Date();
+        midnight.setHours(24, 0, 1, 0);
+        setTimeout(() => checkDayRollover().finally(scheduleDayRollover), midnight - Date.now());
+    }
+
+    function watchDayRollover() {
+        scheduleDayRollover();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') checkDayRollover();
+        });
     }
 
     // Update exercise list - grouped for bilateral exercises
     function updateExerciseList() {
         const isBadDay = elements.badDayMode.checked;
-        const repPattern = isBadDay ? '3-2-1' : (settings.repPattern || '5-3-1');
-        const holdDuration = isBadDay ? 5 : (settings.holdDuration || 10);
+        const program = Exercises.getProgram(settings.level, isBadDay, getProgramOptions());
+        const programDetail = Exercises.describeProgram(program);
         const exercises = Exercises.getAllExercises();
 
         // Group exercises: Curl-Up (single), Side Plank (L+R), Bird-Dog (L+R)
@@ -198,7 +264,9 @@ const App = (() => {
                     name: ex.name,
                     icon: ex.icon,
                     isBilateral: isBilateral,
-                    label: isBilateral ? `${ex.name} (Both Sides)` : ex.name
+                    label: baseId === 'side-plank' && program.rollingPlank
+                        ? Exercises.getExercise('rolling-plank').name
+                        : isBilateral ? `${ex.name} (Both Sides)` : ex.name
                 });
             }
         });
@@ -208,11 +276,13 @@ const App = (() => {
             let isDone = ex.isBilateral
                 ? todayProgress[`${ex.baseId}-left`] && todayProgress[`${ex.baseId}-right`]
                 : todayProgress[ex.id];
+            // Dropped for the day by auto-regression
+            const isResting = !isDone && program.skipExercises.includes(ex.baseId);
 
-            const statusClass = isDone ? 'done' : '';
-            const statusIcon = isDone ? '✅' : '○';
-            const buttonText = isDone ? 'Done' : 'Start';
-            const buttonClass = isDone ? 'btn-done' : 'btn-start';
+            const statusClass = isDone ? 'done' : isResting ? 'resting' : '';
+            const statusIcon = isDone ? '✅' : isResting ? '💤' : '○';
+            const buttonText = isDone ? 'Done' : isResting ? 'Rest' : 'Start';
+            const buttonClass = isDone ? 'btn-done' : isResting ? 'btn-ghost' : 'btn-start';
 
             html += `
                 <div class="exercise-card ${statusClass}" data-exercise-id="${ex.id}">
@@ -220,9 +290,9 @@ const App = (() => {
                     <div class="exercise-icon">${ex.icon}</div>
                     <div class="exercise-info">
                         <div class="exercise-name">${ex.label}</div>
-                        <div class="exercise-detail">${repPattern} reps × ${holdDuration}s holds</div>
+                        <div class="exercise-detail">${isResting ? 'Resting today' : programDetail}</div>
                     </div>
-                    <button class="btn btn-sm ${buttonClass}" data-start-exercise="${ex.id}" ${isDone ? 'disabled' : ''}>
+                    <button class="btn btn-sm ${buttonClass}" data-start-exercise="${ex.id}" ${isDone || isResting ? 'disabled' : ''}>
                         ${buttonText}
                     </button>
                 </div>
@@ -270,14 +340,29 @@ const App = (() => {
         const settingElements = {
             settingHoldDuration: settings.holdDuration,
             settingRestDuration: settings.restDuration,
+            settingBetweenSetsRest: settings.betweenSetsRest ?? Exercises.DEFAULT_RESTS.betweenSetsRest,
+            settingSideSwitchRest: settings.sideSwitchRest ?? Exercises.DEFAULT_RESTS.sideSwitchRest,
             settingRepPattern: settings.repPattern || '5-3-1',
             settingRollingPlank: settings.rollingPlank || false,
+            settingAutoRegression: settings.autoRegression || 'suggest',
+            settingPainCheck: settings.painCheckEnabled !== false,
+            settingWarmup: settings.warmupEnabled || false,
+            settingWarmupCycles: settings.warmupCycles || Exercises.DEFAULT_BLOCKS.warmupCycles,
+            settingCooldown: settings.cooldownEnabled || false,
+            settingCooldownMinutes: settings.cooldownMinutes || Exercises.DEFAULT_BLOCKS.cooldownMinutes,
+            settingBreathingPacer: settings.breathingPacer || false,
+            settingBreathInhale: Breathing.getPattern(settings).inhale,
+            settingBreathExhale: Breathing.getPattern(settings).exhale,
             settingWalkingGoal: settings.walkingGoal,
-            settingReminder: settings.reminderEnabled,
-            settingReminderTime: settings.reminderTime,
+            settingWalkingPlan: settings.walkingPlan,
+            settingSittingBreakGoal: settings.sittingBreakGoal,
+            settingSittingMinutes: settings.sittingMinutes,
+            settingStandingMinutes: settings.standingMinutes,
+            settingMovingMinutes: settings.movingMinutes,
             settingDarkMode: settings.darkMode,
             settingSounds: settings.soundEnabled,
             settingVoice: settings.voiceEnabled,
+            settingVoiceRate: settings.voiceRate ?? 1.0,
             settingVibration: settings.vibrationEnabled
         };
 
@@ -297,6 +382,12 @@ const App = (() => {
         if (holdDisplay) holdDisplay.textContent = `${settings.holdDuration}s`;
         const restDisplay = document.getElementById('restDurationValue');
         if (restDisplay) restDisplay.textContent = `${settings.restDuration}s`;
+        const betweenSetsDisplay = document.getElementById('betweenSetsRestValue');
+        if (betweenSetsDisplay) betweenSetsDisplay.textContent = `${settingElements.settingBetweenSetsRest}s`;
+        const sideSwitchDisplay = document.getElementById('sideSwitchRestValue');
+        if (sideSwitchDisplay) sideSwitchDisplay.textContent = `${settingElements.settingSideSwitchRest}s`;
+        const voiceRateDisplay = document.getElementById('voiceRateValue');
+        if (voiceRateDisplay) voiceRateDisplay.textContent = formatRate(settingElements.settingVoiceRate);
 
         // Add slider change handlers
         const holdSlider = document.getElementById('settingHoldDuration');
@@ -306,9 +397,7 @@ const App = (() => {
                 document.getElementById('holdDurationValue').textContent = `${e.target.value}s`;
             });
             holdSlider.addEventListener('change', async (e) => {
-                settings.holdDuration = parseInt(e.target.value);
-                await Storage.saveSettings(settings);
-                updateExerciseList();
+                await changeProgression({ holdDuration: parseInt(e.target.value) }, 'settings');
             });
         }
 
@@ -319,19 +408,32 @@ const App = (() => {
                 document.getElementById('restDurationValue').textContent = `${e.target.value}s`;
             });
             restSlider.addEventListener('change', async (e) => {
-                settings.restDuration = parseInt(e.target.value);
-                await Storage.saveSettings(settings);
+                if (await updateSettings({ restDuration: parseInt(e.target.value) })) await updateRoutineList();
             });
         }
 
+        // Between sets / switch sides rest sliders
+        [
+            ['settingBetweenSetsRest', 'betweenSetsRestValue', 'betweenSetsRest'],
+            ['settingSideSwitchRest', 'sideSwitchRestValue', 'sideSwitchRest']
+        ].forEach(([sliderId, displayId, key]) => {
+            const slider = document.getElementById(sliderId);
+            if (!slider || slider.dataset.bound) return;
+            slider.dataset.bound = 'true';
+            slider.addEventListener('input', (e) => {
+                document.getElementById(displayId).textContent = `${e.target.value}s`;
+            });
+            slider.addEventListener('change', async (e) => {
+                if (await updateSettings({ [key]: parseInt(e.target.value) })) await updateRoutineList();
+            });
+        });
+
         // Rep pattern change handler
         const repPatternSelect = document.getElementById('settingRepPattern');
         if (repPatternSelect && !repPatternSelect.dataset.bound) {
             repPatternSelect.dataset.bound = 'true';
             repPatternSelect.addEventListener('change', async (e) => {
-                settings.repPattern = e.target.value;
-                await Storage.saveSettings(settings);
-                updateExerciseList();
+                await changeProgression({ repPattern: e.target.value }, 'settings');
             });
         }
 
@@ -340,9 +442,69 @@ const App = (() => {
         if (rollingPlankToggle && !rollingPlankToggle.dataset.bound) {
             rollingPlankToggle.dataset.bound = 'true';
             rollingPlankToggle.addEventListener('change', async (e) => {
-                settings.rollingPlank = e.target.checked;
-                await Storage.saveSettings(settings);
+                await changeProgression({ rollingPlank: e.target.checked }, 'settings');
+            });
+        }
+
+        // Auto-regression mode handler
+        const autoRegressionSelect = document.getElementById('settingAutoRegression');
+        if (autoRegressionSelect && !autoRegressionSelect.dataset.bound) {
+            autoRegressionSelect.dataset.bound = 'true';
+            autoRegressionSelect.addEventListener('change', async (e) => {
+                if (await updateSettings({ autoRegression: e.target.value })) await refreshRegression();
+            });
+        }
+
+        // Pain check toggle handler
+        const painCheckToggle = document.getElementById('settingPainCheck');
+        if (painCheckToggle && !painCheckToggle.dataset.bound) {
+            painCheckToggle.dataset.bound = 'true';
+            painCheckToggle.addEventListener('change', async (e) => {
+                await updateSettings({ painCheckEnabled: e.target.checked });
+            });
+        }
+
+        // Warm-up / cool-down handlers
+        [
+            ['settingWarmup', 'warmupEnabled', (el) => el.checked],
+            ['settingWarmupCycles', 'warmupCycles', (el) => parseInt(el.value)],
+            ['settingCooldown', 'cooldownEnabled', (el) => el.checked],
+            ['settingCooldownMinutes', 'cooldownMinutes', (el) => parseInt(el.value)]
+        ].forEach(([id, key, read]) => {
+            const el = document.getElementById(id);
+            if (!el || el.dataset.bound) return;
+            el.dataset.bound = 'true';
+            el.addEventListener('change', async () => {
+                await updateSettings({ [key]: read(el) });
+            });
+        });
+
+        // Breathing pacer handlers
+        [
+            ['settingBreathingPacer', 'breathingPacer', (el) => el.checked],
+            ['settingBreathInhale', 'breathInhale', (el) => parseInt(el.value)],
+            ['settingBreathExhale', 'breathExhale', (el) => parseInt(el.value)]
+        ].forEach(([id, key, read]) => {
+            const el = document.getElementById(id);
+            if (!el || el.dataset.bound) return;
+            el.dataset.bound = 'true';
+            el.addEventListener('change', async () => {
+                if (await updateSettings({ [key]: read(el) })) updateBreathPatternBadge();
             });
+        });
+    }
+
+    // Validate and save a partial settings change, keeping the copy in
+    // memory in step. If it is rejected, the inputs go back to the saved
+    // values and the reason is shown.
+    async function updateSettings(changes) {
+        try {
+            Object.assign(settings, await Settings.update(changes));
+            return true;
+        } catch (error) {
+            showToast(error.message);
+            applySettings();
+            return false;
         }
     }
 
@@ -353,6 +515,11 @@ const App = (() => {
 
         // Bad day mode toggle
         elements.badDayMode.addEventListener('change', () => {
+            // Switching off a suggested Bad Day plan counts as keeping the usual plan
+            if (!elements.badDayMode.checked && getAppliedRegression()?.tier === 'bad-day') {
+                decideRegression('dismissed');
+                return;
+            }
             updateExerciseList();
             if (elements.badDayMode.checked) {
                 showToast('Bad Day mode: Simplified routine');
@@ -397,11 +564,29 @@ const App = (() => {
             }
         });
 
+        // Rep and exercise controls. Each one also resumes a paused workout.
+        const stepControls = {
+            previousExercise: () => Timer.previousExercise(),
+            repeatRep: () => Timer.repeatRep(),
+            skipRep: () => Timer.skipRep(),
+            nextExercise: () => Timer.nextExercise(),
+            extendRest: () => Timer.extendRest(10)
+        };
+
+        Object.entries(stepControls).forEach(([id, action]) => {
+            document.getElementById(id).addEventListener('click', () => {
+                if (action()) {
+                    elements.pauseWorkout.textContent = 'Pause';
+                }
+            });
+        });
+
         // Done button
         document.getElementById('doneWorkout').addEventListener('click', () => {
             elements.workoutComplete.classList.add('hidden');
             elements.workoutPreview.classList.remove('hidden');
             elements.startWorkout.classList.remove('hidden');
+            updateExerciseList();
         });
 
         // Log pain after workout
@@ -409,63 +594,127 @@ const App = (() => {
             elements.workoutComplete.classList.add('hidden');
             elements.workoutPreview.classList.remove('hidden');
             elements.startWorkout.classList.remove('hidden');
+            linkPainLogToWorkout();
             navigateTo('pain-log');
         });
+
+        setupPainChecks();
+        setupRegressionCard();
+        setupProgressionModal();
+        setupRoutineEditor();
     }
 
-    // Start workout
-    function startWorkout() {
-        // Initialize audio context on user interaction
-        Timer.initAudio();
+    // Program customizations from settings (rep pattern, holds, rests,
+    // rolling plank, warm-up and cool-down)
+    function getProgramOptions() {
+        return {
+            repPattern: settings.repPattern,
+            holdDuration: settings.holdDuration,
+            rollingPlank: settings.rollingPlank,
+            restDuration: settings.restDuration,
+            betweenSetsRest: settings.betweenSetsRest,
+            sideSwitchRest: settings.sideSwitchRest,
+            warmupEnabled: settings.warmupEnabled,
+            warmupCycles: settings.warmupCycles,
+            cooldownEnabled: settings.cooldownEnabled,
+            cooldownMinutes: settings.cooldownMinutes,
+            regression: getAppliedRegression()
+        };
+    }
 
-        const isBadDay = elements.badDayMode.checked;
-        const plan = Exercises.generateWorkoutPlan(settings.level, isBadDay);
+    // Timer settings derived from the user's settings
+    function getTimerSettings(program) {
+        return {
+            holdDuration: program.holdDuration,
+            restDuration: settings.restDuration,
+            soundEnabled: settings.soundEnabled,
+            voiceEnabled: settings.voiceEnabled,
+            vibrationEnabled: settings.vibrationEnabled,
+            breathPattern: settings.breathingPacer ? Breathing.getPattern(settings) : null
+        };
+    }
+
+    // Timer callbacks shared by every workout flow
+    function getWorkoutCallbacks(onComplete) {
+        return {
+            onTick: (data) => updateWorkoutUI(data),
+            onPhaseChange: (data) => updatePhaseUI(data),
+            onExerciseChange: (data) => updateExerciseUI(data),
+            onRepComplete: (data) => onRepComplete(data),
+            onSetComplete: (data) => onSetComplete(data),
+            onSegmentChange: (data) => updateSegmentUI(data),
+            onCycleChange: (data) => updateCycleUI(data),
+            onBreathChange: (data) => updateBreathUI(data),
+            onWorkoutComplete: onComplete
+        };
+    }
 
-        // Hide preview, show active workout
+    // Hide preview, show active workout at the given plan item
+    function showActiveWorkout(item, rep = 1) {
         elements.workoutPreview.classList.add('hidden');
         elements.startWorkout.classList.add('hidden');
         elements.workoutActive.classList.remove('hidden');
         elements.workoutComplete.classList.add('hidden');
+        document.getElementById('resumeCard').classList.add('hidden');
+        document.getElementById('extendRest').classList.add('hidden');
 
         workoutInProgress = true;
 
         // Update initial UI
-        const firstExercise = plan.exercises[0];
+        updateExerciseUI({ exercise: item });
         updateWorkoutUI({
-            exercise: firstExercise,
+            exercise: item,
             time: 3,
             phase: 'transition',
-            rep: 1,
-            totalReps: firstExercise.reps
+            rep: rep,
+            totalReps: item.reps
         });
+    }
+
+    // Start workout
+    async function startWorkout() {
+        // Initialize audio context on user interaction
+        Timer.initAudio();
+
+        const painCheck = await getPainBefore();
+        if (!painCheck) return;
+
+        const isBadDay = elements.badDayMode.checked;
+        const plan = Exercises.generateWorkoutPlan(settings.level, isBadDay, getProgramOptions());
+
+        showActiveWorkout(plan.exercises[0]);
 
         // Start timer
-        Timer.startWorkout(plan, {
-            holdDuration: isBadDay ? 5 : settings.holdDuration,
-            restDuration: settings.restDuration,
-            soundEnabled: settings.soundEnabled,
-            voiceEnabled: settings.voiceEnabled,
-            vibrationEnabled: settings.vibrationEnabled
-        }, {
-            onTick: (data) => updateWorkoutUI(data),
-            onPhaseChange: (data) => updatePhaseUI(data),
-            onExerciseChange: (data) => updateExerciseUI(data),
-            onRepComplete: (data) => onRepComplete(data),
-            onSetComplete: (data) => onSetComplete(data),
-            onWorkoutComplete: (data) => onWorkoutComplete(data)
-        });
+        Timer.startWorkout(
+            plan,
+            getTimerSettings(plan.program),
+            getWorkoutCallbacks((data) => onWorkoutComplete(data)),
+            { mode: 'full', badDayMode: isBadDay, painBefore: painCheck.level, regression: getRegressionContext() }
+        );
+        startRingAnimation();
     }
 
     // Track current exercise being performed
     let currentExerciseId = null;
 
     // Start a SINGLE exercise (new flow)
-    function startSingleExercise(exerciseId) {
+    async function startSingleExercise(exerciseId) {
         // Initialize audio context on user interaction
         Timer.initAudio();
 
+        const painCheck = await getPainBefore();
+        if (!painCheck) return;
+
         const isBadDay = elements.badDayMode.checked;
-        const plan = Exercises.generateSingleExercisePlan(exerciseId, settings.level, isBadDay);
+
+        // Warm up before the day's first exercise, cool down after its last
+        const groupIds = Exercises.getGroupIds(exerciseId);
+        const pending = Object.keys(todayProgress).filter(id => !todayProgress[id]);
+        const options = getProgramOptions();
+        options.warmupEnabled = options.warmupEnabled && pending.length === Object.keys(todayProgress).length;
+        options.cooldownEnabled = options.cooldownEnabled && pending.every(id => groupIds.includes(id));
+
+        const plan = Exercises.generateSingleExercisePlan(exerciseId, settings.level, isBadDay, options);
 
         if (!plan) {
             showToast('Exercise not found');
@@ -474,71 +723,360 @@ const App = (() => {
 
         currentExerciseId = exerciseId;
 
-        // Hide preview, show active workout
-        elements.workoutPreview.classList.add('hidden');
-        elements.startWorkout.classList.add('hidden');
-        elements.workoutActive.classList.remove('hidden');
-        elements.workoutComplete.classList.add('hidden');
+        showActiveWorkout(plan.exercises[0]);
 
-        workoutInProgress = true;
+        // Start timer with single exercise plan
+        Timer.startWorkout(
+            plan,
+            getTimerSettings(plan.program),
+            getWorkoutCallbacks((data) => onSingleExerciseComplete(data)),
+            {
+                mode: 'single',
+                exerciseId: exerciseId,
+                badDayMode: isBadDay,
+                painBefore: painCheck.level,
+                regression: getRegressionContext()
+            }
+        );
+        startRingAnimation();
+    }
 
-        // Update initial UI
-        const firstExercise = plan.exercises[0];
-        updateWorkoutUI({
-            exercise: firstExercise,
-            time: 3,
-            phase: 'transition',
-            rep: 1,
-            totalReps: firstExercise.reps
+    // ===== Custom Routines =====
+    // Render saved routines below today's exercises
+    async function updateRoutineList() {
+        const routines = await Routines.getRoutines();
+        const list = document.getElementById('routineList');
+
+        if (routines.length === 0) {
+            list.innerHTML = '<p class="text-muted">Build your own routine, e.g. extra curl-up sets or side plank only.</p>';
+            return;
+        }
+
+        list.innerHTML = routines.map(routine => {
+            const plan = Routines.generateRoutinePlan(routine, settings);
+            return `
+                <div class="exercise-card routine-card" data-routine-id="${escapeHtml(routine.id)}">
+                    <div class="exercise-icon">${plan.level.icon}</div>
+                    <div class="exercise-info">
+                        <div class="exercise-name">${escapeHtml(routine.name)}</div>
+                        <div class="exercise-detail">${escapeHtml(plan.level.description)} · ~${plan.estimatedDuration} min</div>
+                    </div>
+                    <button class="btn btn-ghost btn-sm" data-edit-routine="${escapeHtml(routine.id)}">Edit</button>
+                    <button class="btn btn-sm btn-start" data-start-routine="${escapeHtml(routine.id)}">Start</button>
+                </div>
+            `;
+        }).join('');
+
+        list.querySelectorAll('[data-start-routine]').forEach(btn => {
+            const routine = routines.find(r => r.id === Number(btn.dataset.startRoutine));
+            btn.addEventListener('click', () => startRoutine(routine));
+        });
+        list.querySelectorAll('[data-edit-routine]').forEach(btn => {
+            const routine = routines.find(r => r.id === Number(btn.dataset.editRoutine));
+            btn.addEventListener('click', () => openRoutineEditor(routine));
         });
+    }
 
-        // Start timer with single exercise plan
-        Timer.startWorkout(plan, {
-            holdDuration: isBadDay ? 5 : settings.holdDuration,
-            restDuration: settings.restDuration,
-            soundEnabled: settings.soundEnabled,
-            voiceEnabled: settings.voiceEnabled,
-            vibrationEnabled: settings.vibrationEnabled
-        }, {
-            onTick: (data) => updateWorkoutUI(data),
-            onPhaseChange: (data) => updatePhaseUI(data),
-            onExerciseChange: (data) => updateExerciseUI(data),
-            onRepComplete: (data) => onRepComplete(data),
-            onSetComplete: (data) => onSetComplete(data),
-            onWorkoutComplete: (data) => onSingleExerciseComplete(data)
+    // Run a saved routine through the timer like the built-in plan
+    async function startRoutine(routine) {
+        // Initialize audio context on user interaction
+        Timer.initAudio();
+
+        const painCheck = await getPainBefore();
+        if (!painCheck) return;
+
+        const plan = Routines.generateRoutinePlan(routine, settings);
+
+        showActiveWorkout(plan.exercises[0]);
+
+        Timer.startWorkout(
+            plan,
+            getTimerSettings(plan.program),
+            getWorkoutCallbacks((data) => onRoutineComplete(data)),
+            { mode: 'routine', routineId: routine.id, routineName: routine.name, painBefore: painCheck.level }
+        );
+        startRingAnimation();
+    }
+
+    // Routine being edited in the modal ({ id?, name, items })
+    let editingRoutine = null;
+
+    function openRoutineEditor(routine = null) {
+        editingRoutine = routine
+            ? { ...routine, items: routine.items.map(item => ({ ...item })) }
+            : { name: '', items: [] };
+
+        document.getElementById('routineModalTitle').textContent = routine ? 'Edit Routine' : 'New Routine';
+        document.getElementById('routineName').value = editingRoutine.name;
+        document.getElementById('deleteRoutine').classList.toggle('hidden', !routine);
+        renderRoutineItems();
+        document.getElementById('routineModal').classList.remove('hidden');
+    }
+
+    function closeRoutineEditor() {
+        document.getElementById('routineModal').classList.add('hidden');
+        editingRoutine = null;
+    }
+
+    // Render the editable item rows
+    function renderRoutineItems() {
+        const container = document.getElementById('routineItems');
+        const fields = [
+            ['sets', 'Sets'],
+            ['reps', 'Reps'],
+            ['holdDuration', 'Hold (s)'],
+            ['restDuration', 'Rest (s)']
+        ];
+
+        if (editingRoutine.items.length === 0) {
+            container.innerHTML = '<p class="text-muted">No exercises yet. Add one below.</p>';
+            return;
+        }
+
+        container.innerHTML = editingRoutine.items.map((item, i) => {
+            const entry = Routines.getCatalogEntry(item.exerciseId);
+            const sideSelect = entry.bilateral ? `
+                <select class="select-input" data-field="side">
+                    ${Object.entries(Routines.SIDES).map(([value, label]) =>
+                        `<option value="${value}" ${item.side === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            ` : '';
+
+            return `
+                <div class="routine-item" data-index="${i}">
+                    <div class="routine-item-header">
+                        <span class="routine-item-name">${entry.icon} ${entry.name}</span>
+                        <div class="routine-item-actions">
+                            <button class="btn-ghost" data-move="-1" ${i === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+                            <button class="btn-ghost" data-move="1" ${i === editingRoutine.items.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+                            <button class="btn-ghost" data-remove aria-label="Remove">✕</button>
+                        </div>
+                    </div>
+                    ${sideSelect}
+                    <div class="routine-item-fields">
+                        ${fields.map(([field, label]) => `
+                            <label class="routine-field">
+                                <span>${label}</span>
+                                <input type="number" class="number-input" data-field="${field}"
+                                    min="${Routines.LIMITS[field].min}" max="${Routines.LIMITS[field].max}" value="${item[field]}">
+                            </label>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    function setupRoutineEditor() {
+        const itemsContainer = document.getElementById('routineItems');
+        const addSelect = document.getElementById('routineAddExercise');
+
+        addSelect.innerHTML = Routines.getCatalog()
+            .map(entry => `<option value="${entry.id}">${entry.icon} ${entry.name}</option>`)
+            .join('');
+
+        document.getElementById('newRoutine').addEventListener('click', () => openRoutineEditor());
+        document.getElementById('closeRoutine').addEventListener('click', closeRoutineEditor);
+
+        document.getElementById('routineName').addEventListener('input', (e) => {
+            editingRoutine.name = e.target.value;
+        });
+
+        document.getElementById('routineAddItem').addEventListener('click', () => {
+            editingRoutine.items.push(Routines.createItem(addSelect.value, settings));
+            renderRoutineItems();
+        });
+
+        // Field edits, reordering and removal for every row
+        itemsContainer.addEventListener('change', (e) => {
+            const row = e.target.closest('.routine-item');
+            const field = e.target.dataset.field;
+            if (!row || !field) return;
+
+            const item = editingRoutine.items[Number(row.dataset.index)];
+            item[field] = field === 'side' ? e.target.value : parseInt(e.target.value);
         });
+
+        itemsContainer.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            const row = e.target.closest('.routine-item');
+            if (!button || !row) return;
+
+            const index = Number(row.dataset.index);
+            const items = editingRoutine.items;
+
+            if (button.dataset.move) {
+                const target = index + Number(button.dataset.move);
+                [items[index], items[target]] = [items[target], items[index]];
+            } else if ('remove' in button.dataset) {
+                items.splice(index, 1);
+            }
+            renderRoutineItems();
+        });
+
+        document.getElementById('saveRoutine').addEventListener('click', async () => {
+            try {
+                await Routines.saveRoutine(editingRoutine);
+                closeRoutineEditor();
+                showToast('Routine saved');
+                await updateRoutineList();
+            } catch (error) {
+                showToast(error.message);
+            }
+        });
+
+        document.getElementById('deleteRoutine').addEventListener('click', async () => {
+            if (!confirm(`Delete "${editingRoutine.name}"? Past sessions stay in your history.`)) return;
+            await Routines.deleteRoutine(editingRoutine.id);
+            closeRoutineEditor();
+            showToast('Routine deleted');
+            await updateRoutineList();
+        });
+    }
+
+    // Checkpoints older than this are recorded as partial instead of offered for resume
+    const RESUME_WINDOW = 6 * 60 * 60 * 1000; // 6 hours
+
+    // Offer to resume a workout that was interrupted by a reload or tab kill
+    async function checkForInterruptedWorkout() {
+        const saved = await Storage.getActiveSession();
+        if (!saved || !saved.workoutPlan) return;
+
+        if (Date.now() - saved.savedAt > RESUME_WINDOW) {
+            await savePartialWorkout(saved);
+            return;
+        }
+
+        const item = saved.workoutPlan.exercises[saved.currentExerciseIndex];
+        const card = document.getElementById('resumeCard');
+        document.getElementById('resumeDetail').textContent =
+            `${item.exercise.name}${item.exercise.side ? ` (${item.exercise.side})` : ''} · rep ${saved.currentRep} of ${item.reps}`;
+        card.classList.remove('hidden');
+
+        document.getElementById('resumeWorkout').onclick = () => resumeInterruptedWorkout(saved);
+        document.getElementById('discardWorkout').onclick = async () => {
+            card.classList.add('hidden');
+            await savePartialWorkout(saved);
+            showToast('Saved as a partial session');
+        };
+    }
+
+    // Pick up an interrupted workout where it stopped
+    function resumeInterruptedWorkout(saved) {
+        Timer.initAudio();
+
+        const context = saved.context || {};
+        const item = saved.workoutPlan.exercises[saved.currentExerciseIndex];
+
+        elements.badDayMode.checked = !!context.badDayMode;
+        currentExerciseId = context.mode === 'single' ? context.exerciseId : null;
+
+        showActiveWorkout(item, saved.currentRep);
+
+        const onComplete = {
+            single: (data) => onSingleExerciseComplete(data),
+            routine: (data) => onRoutineComplete(data)
+        }[context.mode] || ((data) => onWorkoutComplete(data));
+
+        Timer.resumeWorkout(saved, getWorkoutCallbacks(onComplete));
+        startRingAnimation();
+    }
+
+    // Record an interrupted workout as partially completed
+    async function savePartialWorkout(saved) {
+        const context = saved.context || {};
+        const log = Timer.summarizeLog(saved.log || [], saved.pauseCount);
+
+        await Storage.saveWorkout({
+            completed: false,
+            partial: true,
+            endReason: 'interrupted',
+            date: Storage.toDateKey(new Date(saved.savedAt)),
+            duration: Math.round((saved.savedAt - saved.startTime) / 1000),
+            // The level the workout was planned at (routines have none)
+            level: saved.workoutPlan.levelId || settings.level,
+            ...getContextFields(context),
+            ...getLogFields(log)
+        });
+        await Storage.clearActiveSession();
+        await updateConsistencyCard();
+    }
+
+    // Workout record fields identifying which flow ran the workout
+    function getContextFields(context) {
+        return {
+            badDayMode: !!context.badDayMode,
+            mode: context.mode,
+            exerciseId: context.exerciseId,
+            routineId: context.routineId,
+            routineName: context.routineName,
+            painBefore: context.painBefore ?? null,
+            regression: context.regression || null
+        };
+    }
+
+    // A session counts as completed only when every planned rep was held.
+    // Skipping or pressing Next through to the end saves it as partial.
+    function getCompletionFields(log) {
+        return log.repsPlanned > 0 && log.repsCompleted >= log.repsPlanned
+            ? { completed: true }
+            : { completed: false, partial: true, endReason: 'skipped' };
+    }
+
+    // Big 3 exercise ids whose planned reps were all held this session
+    function getHeldExerciseIds(log) {
+        return Routines.getCoveredExerciseIds({ exercises: Timer.getHeldItems(Timer.getState().workoutPlan, log) });
+    }
+
+    // e.g. 'Saved as a partial session: 4 of 18 reps held.'
+    function describePartialSession(log) {
+        return `Saved as a partial session: ${log.repsCompleted} of ${log.repsPlanned} reps held.`;
+    }
+
+    // Workout record fields describing the work actually done
+    function getLogFields(log) {
+        return {
+            exercisesCompleted: log.exercisesCompleted,
+            repsPlanned: log.repsPlanned,
+            repsCompleted: log.repsCompleted,
+            repsSkipped: log.repsSkipped || 0,
+            holdSecondsPlanned: log.holdSecondsPlanned,
+            holdSecondsActual: log.holdSecondsActual,
+            pauses: log.pauses,
+            warmup: log.warmup || null,
+            cooldown: log.cooldown || null,
+            actions: log.actions || {},
+            exerciseLog: log.exercises
+        };
     }
 
     // Handle single exercise completion
     async function onSingleExerciseComplete(data) {
         workoutInProgress = false;
+        stopRingAnimation();
+
+        // Mark this exercise as done (both sides for bilateral), as far as
+        // its reps were held
+        const completion = getCompletionFields(data.log);
+        const exerciseIds = getHeldExerciseIds(data.log);
+        exerciseIds.forEach(id => {
+            todayProgress[id] = true;
+        });
 
-        // Mark this exercise as done (both sides for bilateral)
-        if (currentExerciseId) {
-            const exercise = Exercises.getExercise(currentExerciseId);
-            if (exercise && exercise.bilateral) {
-                // Mark both sides done
-                const baseId = currentExerciseId.replace('-left', '').replace('-right', '');
-                todayProgress[`${baseId}-left`] = true;
-                todayProgress[`${baseId}-right`] = true;
-            } else {
-                todayProgress[currentExerciseId] = true;
-            }
-        }
-
-        // Get grouped exercise count (3: Curl-Up, Side Plank, Bird-Dog)
-        const exercises = Exercises.getAllExercises();
-        const baseIds = new Set();
-        exercises.forEach(ex => baseIds.add(ex.id.replace('-left', '').replace('-right', '')));
-
-        const completedGroups = Array.from(baseIds).filter(baseId => {
-            const leftDone = todayProgress[`${baseId}-left`];
-            const rightDone = todayProgress[`${baseId}-right`];
-            const singleDone = todayProgress[baseId];
-            return (leftDone && rightDone) || singleDone || todayProgress[`${baseId}-left`] === undefined && todayProgress[baseId];
-        }).length;
+        // Save the session so it counts toward the calendar, streak and level-up
+        const context = Timer.getState().context;
+        const workoutId = await Storage.saveWorkout({
+            ...completion,
+            duration: data.duration,
+            level: settings.level,
+            ...getContextFields(context),
+            exerciseIds: exerciseIds,
+            ...getLogFields(data.log)
+        });
+        showPainAfterCheck(workoutId, context.painBefore ?? null);
+        await updateConsistencyCard();
 
-        // Simpler count based on actual grouped structure
+        // Count based on grouped structure
         const groupedDone = ['curl-up', 'side-plank', 'bird-dog'].filter(baseId => {
             if (baseId === 'curl-up') return todayProgress['curl-up'];
             return todayProgress[`${baseId}-left`] && todayProgress[`${baseId}-right`];
@@ -561,7 +1099,9 @@ const App = (() => {
         document.getElementById('completeDuration').textContent = Timer.formatTime(data.duration);
         document.getElementById('completeExercises').textContent = `${groupedDone}/${totalCount}`;
 
-        if (allDone) {
+        if (!completion.completed) {
+            document.getElementById('completeMessage').textContent = describePartialSession(data.log);
+        } else if (allDone) {
             document.getElementById('completeMessage').textContent = '🎉 All exercises complete! Great job caring for your spine today.';
         } else {
             const remaining = totalCount - groupedDone;
@@ -570,6 +1110,10 @@ const App = (() => {
 
         updateCompleteButtons(nextExercise, allDone);
         currentExerciseId = null;
+
+        if (allDone && completion.completed) {
+            await checkForLevelUp();
+        }
     }
 
     // Update completion screen buttons
@@ -630,17 +1174,8 @@ const App = (() => {
 
         const finishBtn = btnContainer.querySelector('#finishSession');
         if (finishBtn) {
-            finishBtn.addEventListener('click', async () => {
-                // Save full workout session
-                await Storage.saveWorkout({
-                    completed: true,
-                    level: settings.level,
-                    badDayMode: elements.badDayMode.checked,
-                    exercisesCompleted: Exercises.getAllExercises().length
-                });
-                await updateConsistencyCard();
-                resetTodayProgress();
-
+            finishBtn.addEventListener('click', () => {
+                // Each exercise was already saved as it finished
                 elements.workoutComplete.classList.add('hidden');
                 elements.workoutPreview.classList.remove('hidden');
                 elements.startWorkout.classList.remove('hidden');
@@ -655,6 +1190,7 @@ const App = (() => {
                 elements.workoutComplete.classList.add('hidden');
                 elements.workoutPreview.classList.remove('hidden');
                 elements.startWorkout.classList.remove('hidden');
+                linkPainLogToWorkout();
                 navigateTo('pain-log');
             });
         }
@@ -666,87 +1202,96 @@ const App = (() => {
         }
     }
 
-    // Show level up modal with progression options
-    function showLevelUpModal() {
-        const currentHold = settings.holdDuration || 10;
-        const currentPattern = settings.repPattern || '5-3-1';
+    // ===== Progression =====
+    // Options offered by the open progression modal, and who offered them
+    let progressionOffer = null;
 
-        // Calculate next options
-        const nextHold = Math.min(currentHold + 2, 60);
-        const patterns = ['3-2-1', '5-3-1', '8-5-3', '10-8-6', '1'];
-        const currentPatternIdx = patterns.indexOf(currentPattern);
-        const nextPattern = currentPatternIdx < patterns.length - 1 ? patterns[currentPatternIdx + 1] : null;
+    function setupProgressionModal() {
+        const modal = document.getElementById('progressionModal');
 
-        let optionsHtml = '';
-
-        if (currentHold < 60) {
-            optionsHtml += `<button class="btn btn-secondary level-option" data-action="hold" data-value="${nextHold}">
-                ⏱️ Increase holds to ${nextHold}s
-            </button>`;
-        }
+        document.getElementById('closeProgression').addEventListener('click', closeProgressionModal);
+        document.getElementById('dismissProgression').addEventListener('click', closeProgressionModal);
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) closeProgressionModal();
+        });
 
-        if (nextPattern && nextPattern !== '1') {
-            optionsHtml += `<button class="btn btn-secondary level-option" data-action="pattern" data-value="${nextPattern}">
-                📈 Try ${nextPattern} rep pattern
-            </button>`;
-        }
+        document.getElementById('progressionOptions').addEventListener('click', async (e) => {
+            const btn = e.target.closest('[data-option]');
+            if (!btn) return;
 
-        if (nextPattern === '1' || currentPattern === '10-8-6') {
-            optionsHtml += `<button class="btn btn-secondary level-option" data-action="challenge">
-                🏆 Challenge Mode (1 × 60s)
-            </button>`;
-        }
+            const { options, source, reason } = progressionOffer;
+            closeProgressionModal();
+            await changeProgression(options[btn.dataset.option].changes, source, reason);
+        });
 
-        if (!settings.rollingPlank) {
-            optionsHtml += `<button class="btn btn-secondary level-option" data-action="rolling">
-                🔄 Try Rolling Plank
-            </button>`;
-        }
+        document.getElementById('undoProgression').addEventListener('click', undoProgression);
+    }
 
-        optionsHtml += `<button class="btn btn-ghost" id="closeLevelUp">Maybe Later</button>`;
+    // One modal for suggested level changes and the user's own level-ups
+    function showProgressionModal({ title, reasons = [], options, source, reason = '' }) {
+        progressionOffer = { options, source, reason };
+
+        document.getElementById('progressionTitle').textContent = title;
+        document.getElementById('progressionCurrent').textContent =
+            `Current: ${Progression.describeState(Progression.getState(settings))}`;
+        document.getElementById('progressionReasons').innerHTML = reasons
+            .map(item => `<li>${escapeHtml(item)}</li>`)
+            .join('');
+        document.getElementById('progressionOptions').innerHTML = options
+            .map((option, i) => `<button class="btn btn-secondary level-option" data-option="${i}">${escapeHtml(option.label)}</button>`)
+            .join('');
+
+        document.getElementById('progressionModal').classList.remove('hidden');
+    }
 
-        // Create modal overlay
-        const modalHtml = `
-            <div class="level-up-modal" id="levelUpModal">
-                <div class="level-up-content">
-                    <h3>🚀 Level Up!</h3>
-                    <p class="level-up-current">Current: ${currentPattern} × ${currentHold}s</p>
-                    <div class="level-up-options">${optionsHtml}</div>
-                </div>
-            </div>
-        `;
+    function closeProgressionModal() {
+        document.getElementById('progressionModal').classList.add('hidden');
+        progressionOffer = null;
+    }
 
-        document.body.insertAdjacentHTML('beforeend', modalHtml);
+    // Apply and record a progression change, then refresh what depends on it
+    async function changeProgression(changes, source, reason = '') {
+        let record;
+        try {
+            record = await Progression.applyChange(settings, changes, { source, reason });
+        } catch (error) {
+            showToast(error.message);
+            applySettings();
+            return;
+        }
+        if (!record) return;
 
-        const modal = document.getElementById('levelUpModal');
+        applySettings();
+        updateLevelBadge();
+        updateExerciseList();
+        await updateRoutineList();
 
-        // Handle option clicks
-        modal.querySelectorAll('.level-option').forEach(btn => {
-            btn.addEventListener('click', async () => {
-                const action = btn.dataset.action;
+        if (source !== 'settings') {
+            showToast(record.newLevel && record.direction === 'up'
+                ? `Congratulations! Now at ${Exercises.getLevel(record.newLevel).name} level!`
+                : `${record.title}. You can undo this on the Progress page.`);
+        }
+    }
 
-                if (action === 'hold') {
-                    settings.holdDuration = parseInt(btn.dataset.value);
-                } else if (action === 'pattern') {
-                    settings.repPattern = btn.dataset.value;
-                } else if (action === 'challenge') {
-                    settings.repPattern = '1';
-                    settings.holdDuration = 60;
-                } else if (action === 'rolling') {
-                    settings.rollingPlank = true;
-                }
+    async function undoProgression() {
+        const record = await Progression.undoLast(settings);
+        if (!record) return;
 
-                await Storage.saveSettings(settings);
-                modal.remove();
-                showToast('Settings updated! 💪');
-                updateExerciseList();
-            });
-        });
+        applySettings();
+        updateLevelBadge();
+        updateExerciseList();
+        await updateRoutineList();
+        await refreshProgressPage();
+        showToast(`Undone: back to ${Progression.describeState(record.after)}`);
+    }
 
-        // Close button
-        modal.querySelector('#closeLevelUp').addEventListener('click', () => modal.remove());
-        modal.addEventListener('click', (e) => {
-            if (e.target === modal) modal.remove();
+    // Show level up modal with progression options
+    function showLevelUpModal() {
+        showProgressionModal({
+            title: '🚀 Level Up!',
+            options: Progression.getOptions(settings),
+            source: 'level-up',
+            reason: 'Felt easy'
         });
     }
 
@@ -758,10 +1303,7 @@ const App = (() => {
         triggerTickAnimation();
 
         // Update progress ring
-        const circumference = 565.48; // 2 * PI * 90
-        const progress = Timer.getProgressPercent();
-        const offset = circumference - (progress / 100) * circumference;
-        elements.timerProgress.style.strokeDashoffset = offset;
+        updateTimerRing();
 
         // Update rep dots (generate on first call, update on subsequent)
         const repDotsContainer = document.getElementById('repDots');
@@ -772,13 +1314,46 @@ const App = (() => {
         }
     }
 
+    // Update progress ring from the timer's sub-second progress
+    function updateTimerRing() {
+        const circumference = 565.48; // 2 * PI * 90
+        const progress = Timer.getProgressPercent();
+        const offset = circumference - (progress / 100) * circumference;
+        elements.timerProgress.style.strokeDashoffset = offset;
+    }
+
+    // Animate the ring smoothly between ticks while a workout runs
+    let ringAnimationFrame = null;
+
+    function startRingAnimation() {
+        stopRingAnimation();
+        const step = () => {
+            updateTimerRing();
+            ringAnimationFrame = requestAnimationFrame(step);
+        };
+        ringAnimationFrame = requestAnimationFrame(step);
+    }
+
+    function stopRingAnimation() {
+        if (ringAnimationFrame) {
+            cancelAnimationFrame(ringAnimationFrame);
+            ringAnimationFrame = null;
+        }
+    }
+
+    // Phase labels for warm-up and cool-down holds
+    const BLOCK_LABELS = {
+        warmup: 'WARM-UP',
+        cooldown: 'COOL-DOWN'
+    };
+
     // Update phase UI - unified timer display
     function updatePhaseUI(data) {
         const timerPhase = document.getElementById('timerPhase');
         const timerContainer = document.querySelector('.timer-ring-container');
 
         if (data.phase === 'hold') {
-            if (timerPhase) timerPhase.textContent = 'HOLD';
+            if (timerPhase) timerPhase.textContent = BLOCK_LABELS[data.exercise?.block] || 'HOLD';
             elements.timerProgress.style.stroke = '#06b6d4';
             if (timerContainer) {
                 timerContainer.classList.add('phase-hold');
@@ -791,9 +1366,17 @@ const App = (() => {
                 timerContainer.classList.add('phase-rest');
                 timerContainer.classList.remove('phase-hold');
             }
+        } else if (data.phase === 'transition') {
+            if (timerPhase) timerPhase.textContent = 'GET READY';
+            if (timerContainer) {
+                timerContainer.classList.remove('phase-hold', 'phase-rest');
+            }
         }
 
+        document.getElementById('extendRest').classList.toggle('hidden', data.phase !== 'rest');
+
         elements.timerLabel.textContent = 'seconds';
+        if (timerContainer) showBreath(timerContainer, null);
     }
 
     // Generate rep dots - call on workout start
@@ -833,6 +1416,32 @@ const App = (() => {
         elements.currentSide.textContent = data.exercise.exercise.side || '';
     }
 
+    // Update side label as a chained hold rolls to its next position
+    function updateSegmentUI(data) {
+        const segment = data.segment;
+        elements.currentSide.textContent = `${segment.side || segment.name} · ${data.index + 1}/${data.total}`;
+    }
+
+    // Show the cycle count during a counted warm-up
+    function updateCycleUI(data) {
+        elements.currentSide.textContent = `Cycle ${data.cycle} of ${data.totalCycles}${data.cue ? ` · ${data.cue}` : ''}`;
+    }
+
+    // Breathing pacer during a hold: the aura follows the breath
+    function updateBreathUI(data) {
+        const timerContainer = document.querySelector('#workoutActive .timer-ring-container');
+        if (timerContainer) showBreath(timerContainer, data);
+        elements.timerLabel.textContent = data.prompt.toLowerCase();
+    }
+
+    // Expand or contract a timer ring over the breath; null stops pacing
+    function showBreath(container, breath) {
+        container.classList.toggle('pacing', !!breath);
+        container.classList.toggle('breath-in', breath?.phase === 'inhale');
+        container.classList.toggle('breath-out', breath?.phase === 'exhale');
+        if (breath) container.style.setProperty('--breath-duration', `${breath.duration}s`);
+    }
+
     // Rep complete callback
     function onRepComplete(data) {
         // Satisfying animation/feedback already handled by Timer
@@ -846,14 +1455,23 @@ const App = (() => {
     // Workout complete callback
     async function onWorkoutComplete(data) {
         workoutInProgress = false;
+        stopRingAnimation();
 
         // Save workout
-        await Storage.saveWorkout({
-            completed: true,
+        const context = Timer.getState().context;
+        const completion = getCompletionFields(data.log);
+        const exerciseIds = getHeldExerciseIds(data.log);
+        const workoutId = await Storage.saveWorkout({
+            ...completion,
             duration: data.duration,
             level: settings.level,
-            badDayMode: elements.badDayMode.checked,
-            exercisesCompleted: data.exercisesCompleted
+            ...getContextFields(context),
+            exerciseIds: exerciseIds,
+            ...getLogFields(data.log)
+        });
+        showPainAfterCheck(workoutId, context.painBefore ?? null);
+        exerciseIds.forEach(id => {
+            todayProgress[id] = true;
         });
 
         // Update consistency
@@ -864,7 +1482,12 @@ const App = (() => {
         elements.workoutComplete.classList.remove('hidden');
 
         document.getElementById('completeDuration').textContent = Timer.formatTime(data.duration);
-        document.getElementById('completeExercises').textContent = data.exercisesCompleted;
+        document.getElementById('completeExercises').textContent = data.log.exercisesCompleted;
+
+        if (!completion.completed) {
+            document.getElementById('completeMessage').textContent = describePartialSession(data.log);
+            return;
+        }
 
         // Generate encouraging message
         const messages = [
@@ -877,36 +1500,101 @@ const App = (() => {
         document.getElementById('completeMessage').textContent =
             messages[Math.floor(Math.random() * messages.length)];
 
-        // Check for level up
-        const sessionsAtLevel = await Analytics.getSessionsAtLevel(settings.level);
-        const nextLevel = Exercises.shouldSuggestLevelUp(settings.level, sessionsAtLevel);
-
-        if (nextLevel) {
-            setTimeout(() => {
-                if (confirm(`You've completed ${sessionsAtLevel} sessions at this level! Ready to advance to ${Exercises.getLevel(nextLevel).name}?`)) {
-                    settings.level = nextLevel;
-                    Storage.saveSettings(settings);
-                    Storage.saveProgress({
-                        type: 'level-change',
-                        newLevel: nextLevel,
-                        reason: 'Progression milestone reached'
-                    });
-                    updateLevelBadge();
-                    showToast(`Congratulations! Now at ${Exercises.getLevel(nextLevel).name} level!`);
-                }
-            }, 2000);
+        await checkForLevelUp();
+    }
+
+    // Routine complete callback
+    async function onRoutineComplete(data) {
+        workoutInProgress = false;
+        stopRingAnimation();
+
+        const context = Timer.getState().context;
+        const completion = getCompletionFields(data.log);
+        const exerciseIds = getHeldExerciseIds(data.log);
+
+        const workoutId = await Storage.saveWorkout({
+            ...completion,
+            duration: data.duration,
+            level: settings.level,
+            ...getContextFields(context),
+            exerciseIds: exerciseIds,
+            ...getLogFields(data.log)
+        });
+        showPainAfterCheck(workoutId, context.painBefore ?? null);
+        exerciseIds.forEach(id => {
+            todayProgress[id] = true;
+        });
+        await updateConsistencyCard();
+
+        // Show complete screen
+        elements.workoutActive.classList.add('hidden');
+        elements.workoutComplete.classList.remove('hidden');
+
+        document.getElementById('completeDuration').textContent = Timer.formatTime(data.duration);
+        document.getElementById('completeExercises').textContent = data.log.exercisesCompleted;
+        document.getElementById('completeMessage').textContent = completion.completed
+            ? `${context.routineName} complete! Nice work.`
+            : describePartialSession(data.log);
+
+        updateCompleteButtons(null, false);
+
+        if (completion.completed && Object.values(todayProgress).every(Boolean)) {
+            await checkForLevelUp();
         }
     }
 
+    // Suggest advancing or stepping back a level once the evidence supports it
+    async function checkForLevelUp() {
+        const result = await Progression.evaluate(settings.level || 'standard');
+        await Progression.logDecision(result);
+
+        if (result.decision === 'hold') return;
+
+        const target = Exercises.getLevel(result.targetLevel);
+        const advance = result.decision === 'advance';
+
+        setTimeout(() => {
+            showProgressionModal({
+                title: advance ? `🚀 Ready for ${target.name}?` : `🌱 Step back to ${target.name}?`,
+                reasons: result.reasons,
+                options: [{
+                    label: `${target.icon} ${advance ? 'Advance' : 'Step back'} to ${target.name} (${target.description})`,
+                    changes: Progression.getLevelChanges(result.targetLevel)
+                }],
+                source: 'suggestion',
+                reason: result.reasons.join(', ')
+            });
+        }, 2000);
+    }
+
     // End workout
-    function endWorkout(completed) {
+    async function endWorkout(completed) {
         workoutInProgress = false;
+        stopRingAnimation();
+
+        // Keep stopped sessions, with whatever work was done
+        const timerState = Timer.getState();
+        const log = timerState.workoutPlan ? Timer.getSessionLog() : null;
         Timer.reset();
 
         elements.workoutActive.classList.add('hidden');
         elements.workoutPreview.classList.remove('hidden');
         elements.startWorkout.classList.remove('hidden');
         elements.pauseWorkout.textContent = 'Pause';
+
+        if (!completed && log) {
+            const context = timerState.context || {};
+            await Storage.saveWorkout({
+                completed: false,
+                partial: true,
+                endReason: 'stopped',
+                duration: Math.round((Date.now() - timerState.startTime) / 1000),
+                level: settings.level,
+                ...getContextFields(context),
+                ...getLogFields(log)
+            });
+            await updateConsistencyCard();
+        }
     }
 
     // Setup progress page
@@ -926,9 +1614,22 @@ const App = (() => {
         const chartContainer = document.getElementById('painChart');
         Analytics.renderSimpleChart(chartContainer, painData);
 
+        // Pain before vs after
+        renderPainChange(await Analytics.getPainChangeStats());
+
+        // Sitting breaks against the daily goal
+        renderSittingBreaks(await Analytics.getSittingBreakStats(settings.sittingBreakGoal));
+
+        // Morning pain by sleep setup
+        renderSleepStats(await Analytics.getSleepStats());
+
         // Journey timeline
         const journey = await Analytics.getProgressionJourney();
         renderJourney(journey);
+        const undoable = await Progression.getUndoable();
+        const undoBtn = document.getElementById('undoProgression');
+        undoBtn.classList.toggle('hidden', !undoable);
+        if (undoable) undoBtn.textContent = `↩️ Undo: ${undoable.title}`;
 
         // Insights
         const insights = await Analytics.getInsights();
@@ -961,9 +1662,9 @@ const App = (() => {
         data.slice(0, 5).forEach(item => {
             html += `
                 <div class="journey-item">
-                    <div class="journey-date">${item.date}</div>
-                    <div class="journey-title">${item.title}</div>
-                    <div class="journey-detail">${item.detail}</div>
+                    <div class="journey-date">${escapeHtml(item.date)}</div>
+                    <div class="journey-title">${escapeHtml(item.title)}</div>
+                    <div class="journey-detail">${escapeHtml(item.detail)}</div>
                 </div>
             `;
         });
@@ -980,7 +1681,7 @@ const App = (() => {
             html += `
                 <div class="insight-card">
                     <span class="insight-icon">${insight.icon}</span>
-                    <p class="insight-text">${insight.text}</p>
+                    <p class="insight-text">${escapeHtml(insight.text)}</p>
                 </div>
             `;
         });
@@ -988,6 +1689,248 @@ const App = (() => {
         container.innerHTML = html;
     }
 
+    // Average pain change per exercise and per level
+    function renderPainChange(stats) {
+        const container = document.getElementById('painChangeList');
+
+        if (stats.sessions === 0) {
+            container.innerHTML = '<p class="text-muted">Check your pain before and after workouts to see which sessions help and which flare you up.</p>';
+            return;
+        }
+
+        const renderRow = group => {
+            const trend = group.averageChange > 0 ? 'worse' : group.averageChange < 0 ? 'better' : '';
+            return `
+                <div class="pain-change-item">
+                    <span class="pain-change-name">${escapeHtml(group.name)}</span>
+                    <span class="pain-change-sessions">${group.sessions} session${group.sessions === 1 ? '' : 's'}</span>
+                    <span class="pain-change-value ${trend}">${formatPainChange(group.averageChange)}</span>
+                </div>
+            `;
+        };
+
+        container.innerHTML = `
+            <h3 class="pain-change-heading">By exercise</h3>
+            ${stats.byExercise.map(renderRow).join('')}
+            <h3 class="pain-change-heading">By level</h3>
+            ${stats.byLevel.map(renderRow).join('')}
+        `;
+    }
+
+    // Breaks per day for the last week, marked where the goal was met
+    function renderSittingBreaks(stats) {
+        document.getElementById('sittingBreakDays').innerHTML = stats.days.map(day => `
+            <div class="sitting-break-day ${day.met ? 'met' : ''}" title="${day.date}">
+                <span class="sitting-break-count">${day.breaks}</span>
+                <span class="sitting-break-label">${day.label}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('sittingBreakSummary').textContent = stats.total > 0
+            ? `Goal of ${stats.goal} breaks met on ${stats.daysMet} of ${stats.days.length} days · ${stats.average} a day on average`
+            : 'Run the sitting break timer on the Habits page to track your breaks.';
+    }
+
+    // Sleep setups, least pain first, with the one that helps most marked
+    function renderSleepStats(stats) {
+        document.getElementById('sleepSetupList').innerHTML = stats.setups.map(setup => `
+            <div class="sleep-setup-item ${setup === stats.best ? 'best' : ''}">
+                <div class="sleep-setup-info">
+                    <span class="sleep-setup-name">${setup.name}${setup === stats.best ? ' ✓' : ''}</span>
+                    <span class="sleep-setup-detail">${[
+                        `${setup.nights} night${setup.nights === 1 ? '' : 's'}`,
+                        `${setup.hours} h`,
+                        `${setup.stiffnessMinutes} min stiff`,
+                        setup.dayPain !== null ? `day pain ${setup.dayPain}` : null
+                    ].filter(Boolean).join(' · ')}</span>
+                </div>
+                <span class="sleep-setup-pain" title="Average first-hour pain">${setup.morningPain}</span>
+            </div>
+        `).join('');
+
+        let summary = 'Do the morning check-in on the Habits page to see which sleep setup helps your back.';
+        if (stats.best) {
+            summary = `${stats.best.name} goes with your least pain, mornings and days. Numbers are average pain in the first hour (0-10).`;
+        } else if (stats.nights > 0) {
+            summary = `${stats.nights} check-in${stats.nights === 1 ? '' : 's'} so far · ${stats.hours} h sleep and ${stats.morningPain}/10 morning pain on average. Try at least 3 nights each of two setups to compare.`;
+        }
+        document.getElementById('sleepSummary').textContent = summary;
+    }
+
+    // e.g. '+1.5', '-2', '0'
+    function formatPainChange(change) {
+        return change > 0 ? `+${change}` : String(change);
+    }
+
+    // ===== Auto-regression =====
+    // Today's suggestion from recent pain logs, or null
+    let regressionSuggestion = null;
+
+    function setupRegressionCard() {
+        document.getElementById('applyRegression').addEventListener('click', () => decideRegression('applied'));
+        document.getElementById('dismissRegression').addEventListener('click', () => decideRegression('dismissed'));
+    }
+
+    async function refreshRegression() {
+        regressionSuggestion = settings.autoRegression === 'off' ? null : await Regression.getSuggestion();
+
+        // A bad day plan is the existing Bad Day mode
+        if (regressionSuggestion?.tier === 'bad-day' && getRegressionStatus() === 'applied') {
+            elements.badDayMode.checked = true;
+        }
+
+        renderRegressionCard();
+        updateExerciseList();
+    }
+
+    // 'applied', 'dismissed' or 'pending'. A decision holds for the rest of
+    // the day unless the suggestion escalates.
+    function getRegressionStatus() {
+        if (!regressionSuggestion) return null;
+
+        const decision = settings.regressionDecision;
+        if (decision && decision.date === getTodayKey() && decision.tier === regressionSuggestion.tier) {
+            return decision.status;
+        }
+        return settings.autoRegression === 'auto' ? 'applied' : 'pending';
+    }
+
+    function getAppliedRegression() {
+        return getRegressionStatus() === 'applied' ? regressionSuggestion : null;
+    }
+
+    // What to record on the workout about the regression in effect
+    function getRegressionContext() {
+        const regression = getAppliedRegression();
+        return regression ? { tier: regression.tier, reasons: regression.reasons } : null;
+    }
+
+    async function decideRegression(status) {
+        await updateSettings({ regressionDecision: { date: getTodayKey(), tier: regressionSuggestion.tier, status } });
+
+        if (regressionSuggestion.tier === 'bad-day') {
+            elements.badDayMode.checked = status === 'applied';
+        }
+
+        renderRegressionCard();
+        updateExerciseList();
+        showToast(status === 'applied' ? `${regressionSuggestion.name} plan applied` : 'Keeping your usual plan');
+    }
+
+    function renderRegressionCard() {
+        const card = document.getElementById('regressionCard');
+        const status = getRegressionStatus();
+
+        if (!regressionSuggestion || status === 'dismissed') {
+            card.classList.add('hidden');
+            return;
+        }
+
+        const applied = status === 'applied';
+        document.getElementById('regressionIcon').textContent = regressionSuggestion.icon;
+        document.getElementById('regressionTitle').textContent = applied
+            ? `${regressionSuggestion.name} plan in use`
+            : `${regressionSuggestion.name} suggested`;
+        document.getElementById('regressionReasons').innerHTML = regressionSuggestion.reasons
+            .map(reason => `<li>${escapeHtml(reason)}</li>`)
+            .join('');
+        document.getElementById('regressionPlan').textContent = Regression.describe(regressionSuggestion);
+        document.getElementById('applyRegression').classList.toggle('hidden', applied);
+        document.getElementById('dismissRegression').textContent = applied ? 'Use My Usual Plan' : 'Keep My Plan';
+        card.classList.toggle('applied', applied);
+        card.classList.remove('hidden');
+    }
+
+    // ===== Pain checks =====
+    // A check this recent stands in for the next pre-workout check,
+    // e.g. when continuing straight on to the next exercise
+    const PAIN_CHECK_REUSE_MS = 10 * 60 * 1000;
+
+    let lastPainCheck = null; // { level, at }
+    let painAfterTarget = null; // { workoutId, painBefore, painAfter } for the complete screen
+    let painLogWorkout = null; // workout the next pain log entry belongs to
+    let resolvePainCheck = null;
+
+    function setupPainChecks() {
+        document.getElementById('painBeforeScale').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pain]');
+            if (btn) closePainCheck({ level: parseInt(btn.dataset.pain) });
+        });
+        document.getElementById('skipPainCheck').addEventListener('click', () => closePainCheck({ level: null }));
+        document.getElementById('closePainCheck').addEventListener('click', () => closePainCheck(null));
+
+        document.getElementById('painAfterScale').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pain]');
+            if (btn) savePainAfter(parseInt(btn.dataset.pain));
+        });
+    }
+
+    // 0-10 buttons, colored like the pain log
+    function renderPainScale(container, selected = null) {
+        container.innerHTML = Array.from({ length: 11 }, (_, level) => {
+            const levelClass = level <= 3 ? 'low' : level <= 6 ? 'medium' : 'high';
+            return `<button class="pain-check-btn ${levelClass}${level === selected ? ' active' : ''}" data-pain="${level}">${level}</button>`;
+        }).join('');
+    }
+
+    // Ask for the pain level before a workout. Resolves { level } (null when
+    // skipped or turned off), or null if the user closed the check to cancel.
+    function getPainBefore() {
+        if (settings.painCheckEnabled === false) return Promise.resolve({ level: null });
+        if (lastPainCheck && Date.now() - lastPainCheck.at < PAIN_CHECK_REUSE_MS) {
+            return Promise.resolve({ level: lastPainCheck.level });
+        }
+
+        renderPainScale(document.getElementById('painBeforeScale'));
+        document.getElementById('painCheckModal').classList.remove('hidden');
+        return new Promise(resolve => {
+            resolvePainCheck = resolve;
+        });
+    }
+
+    function closePainCheck(result) {
+        document.getElementById('painCheckModal').classList.add('hidden');
+        if (result && result.level !== null) {
+            lastPainCheck = { level: result.level, at: Date.now() };
+        }
+        if (resolvePainCheck) resolvePainCheck(result);
+        resolvePainCheck = null;
+    }
+
+    // Offer the pain-after check on the complete screen for a saved workout
+    function showPainAfterCheck(workoutId, painBefore) {
+        painAfterTarget = { workoutId, painBefore, painAfter: null };
+        painLogWorkout = null;
+
+        document.getElementById('painAfterCheck').classList.toggle('hidden', settings.painCheckEnabled === false);
+        renderPainScale(document.getElementById('painAfterScale'));
+        document.getElementById('painAfterResult').textContent = '';
+    }
+
+    async function savePainAfter(level) {
+        if (!painAfterTarget) return;
+
+        await Storage.updateWorkout(painAfterTarget.workoutId, { painAfter: level });
+        painAfterTarget.painAfter = level;
+        lastPainCheck = { level, at: Date.now() };
+
+        renderPainScale(document.getElementById('painAfterScale'), level);
+
+        const { painBefore } = painAfterTarget;
+        let result = 'Saved';
+        if (painBefore !== null) {
+            const change = level - painBefore;
+            result = change === 0 ? `Same as before (${painBefore})`
+                : `${change > 0 ? 'Up' : 'Down'} ${Math.abs(change)} from ${painBefore} before`;
+        }
+        document.getElementById('painAfterResult').textContent = result;
+    }
+
+    // The detailed pain log entry about to be made follows the workout just finished
+    function linkPainLogToWorkout() {
+        painLogWorkout = painAfterTarget;
+    }
+
     // Setup pain log page
     function setupPainLogPage() {
         // Pain level slider
@@ -1034,6 +1977,7 @@ const App = (() => {
             .map(btn => btn.dataset.location);
         const activity = document.getElementById('painActivity').value;
         const notes = document.getElementById('painNotes').value;
+        const workoutId = painLogWorkout ? painLogWorkout.workoutId : null;
 
         await Storage.savePainLog({
             painLevel,
@@ -1041,10 +1985,18 @@ const App = (() => {
             locations,
             activity,
             notes,
+            workoutId,
             timeOfDay: new Date().getHours() < 12 ? 'morning' :
                 new Date().getHours() < 17 ? 'afternoon' : 'evening'
         });
 
+        // A full entry right after a workout doubles as its pain-after check
+        if (painLogWorkout && painLogWorkout.painAfter === null) {
+            await Storage.updateWorkout(workoutId, { painAfter: painLevel });
+            lastPainCheck = { level: painLevel, at: Date.now() };
+        }
+        painLogWorkout = null;
+
         // Reset form
         document.getElementById('painLevel').value = 0;
         document.getElementById('painLevelValue').textContent = '0';
@@ -1055,6 +2007,7 @@ const App = (() => {
 
         showToast('Pain entry saved');
         refreshPainHistory();
+        await refreshRegression();
     }
 
     // Refresh pain history
@@ -1073,16 +2026,17 @@ const App = (() => {
             const date = new Date(log.timestamp).toLocaleDateString();
             const time = new Date(log.timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
 
+            // Everything shown is stored text, which a restored backup supplies
             html += `
                 <div class="history-item">
-                    <div class="history-pain-level ${levelClass}">${log.painLevel}</div>
+                    <div class="history-pain-level ${levelClass}">${escapeHtml(log.painLevel)}</div>
                     <div class="history-content">
                         <div class="history-date">${date} at ${time}</div>
                         <div class="history-symptoms">
-                            ${log.symptoms.map(s => `<span class="history-symptom">${s}</span>`).join('')}
-                            ${log.locations.map(l => `<span class="history-symptom">${l}</span>`).join('')}
+                            ${log.symptoms.map(s => `<span class="history-symptom">${escapeHtml(s)}</span>`).join('')}
+                            ${log.locations.map(l => `<span class="history-symptom">${escapeHtml(l)}</span>`).join('')}
                         </div>
-                        ${log.notes ? `<div class="history-notes">${log.notes}</div>` : ''}
+                        ${log.notes ? `<div class="history-notes">${escapeHtml(log.notes)}</div>` : ''}
                     </div>
                 </div>
             `;
@@ -1109,109 +2063,166 @@ const App = (() => {
         // Sitting timer
         setupSittingTimer();
 
+        // Breathing pacer
+        setupBreathPacer();
+
         // Walking tracker
         setupWalkingTracker();
 
         // Nerve floss
         setupNerveFloss();
+
+        // Morning sleep check-in
+        setupSleepCheckIn();
     }
 
-    // Sitting timer (20-8-2 rule)
-    let sittingTimer = {
-        interval: null,
-        phase: 'sitting', // sitting, standing, moving
-        time: 20 * 60, // 20 minutes
-        running: false
-    };
+    // Sitting break timer. The clock lives in Sitting; this shows it,
+    // ticking every second while it runs.
+    let sittingInterval = null;
+    let sittingRefreshing = false;
 
     function setupSittingTimer() {
         const startBtn = document.getElementById('startSittingTimer');
         const resetBtn = document.getElementById('resetSittingTimer');
 
-        startBtn.addEventListener('click', () => {
-            if (sittingTimer.running) {
-                pauseSittingTimer();
-                startBtn.textContent = 'Resume';
+        startBtn.addEventListener('click', async () => {
+            const state = await Sitting.getState();
+            if (state.running) {
+                await Sitting.pause(settings);
             } else {
-                startSittingTimer();
-                startBtn.textContent = 'Pause';
-                resetBtn.classList.remove('hidden');
+                // Phase changes are announced by notification in the background
+                if (Reminders.isSupported() && Reminders.getPermission() === 'default') {
+                    await Reminders.requestPermission().catch(() => {});
+                }
+                await Sitting.start(settings);
             }
+            await refreshSittingTimer();
         });
 
-        resetBtn.addEventListener('click', resetSittingTimer);
-    }
+        resetBtn.addEventListener('click', async () => {
+            await Sitting.reset();
+            await refreshSittingTimer();
+        });
 
-    function startSittingTimer() {
-        sittingTimer.running = true;
+        // Catch up after the app has been in the background
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) refreshSittingTimer();
+        });
 
-        if (sittingTimer.interval) clearInterval(sittingTimer.interval);
+        updateSittingPattern();
+        refreshSittingTimer();
+    }
 
-        sittingTimer.interval = setInterval(() => {
-            sittingTimer.time--;
-            updateSittingTimerUI();
+    async function refreshSittingTimer() {
+        if (sittingRefreshing) return;
+        sittingRefreshing = true;
+        try {
+            const position = await Sitting.update(settings);
+            if (position.changed) announceSittingPhase(position.phase);
+            if (position.logged > 0) updateSittingToday();
+            if (position.stopped) {
+                showToast(`Sitting timer stopped after ${Sitting.MAX_HOURS} hours`);
+                refreshReminders();
+            }
+            renderSittingTimer(position);
 
-            if (sittingTimer.time <= 0) {
-                advanceSittingPhase();
+            if (position.running && !sittingInterval) {
+                sittingInterval = setInterval(refreshSittingTimer, 1000);
+            } else if (!position.running && sittingInterval) {
+                clearInterval(sittingInterval);
+                sittingInterval = null;
             }
-        }, 1000);
+        } finally {
+            sittingRefreshing = false;
+        }
     }
 
-    function pauseSittingTimer() {
-        sittingTimer.running = false;
-        if (sittingTimer.interval) clearInterval(sittingTimer.interval);
-    }
+    function announceSittingPhase(phase) {
+        if (settings.soundEnabled) Timer.sounds.exerciseComplete();
+        if (settings.vibrationEnabled && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+        Timer.speak(Sitting.PHASES[phase].prompt);
 
-    function resetSittingTimer() {
-        pauseSittingTimer();
-        sittingTimer.phase = 'sitting';
-        sittingTimer.time = 20 * 60;
-        updateSittingTimerUI();
-        document.getElementById('startSittingTimer').textContent = 'Start';
-        document.getElementById('resetSittingTimer').classList.add('hidden');
+        // Triggered notifications already cover phase changes where the
+        // browser has them
+        if (document.hidden && !Reminders.supportsTriggers()) Sitting.notify(phase, settings);
     }
 
-    function advanceSittingPhase() {
-        if (settings.soundEnabled) Timer.sounds.exerciseComplete();
-        if (settings.vibrationEnabled && navigator.vibrate) navigator.vibrate([200, 100, 200]);
+    function renderSittingTimer(position) {
+        const phaseEl = document.getElementById('sittingPhase');
+        const startBtn = document.getElementById('startSittingTimer');
 
-        switch (sittingTimer.phase) {
-            case 'sitting':
-                sittingTimer.phase = 'standing';
-                sittingTimer.time = 8 * 60;
-                Timer.speak('Time to stand!');
-                break;
-            case 'standing':
-                sittingTimer.phase = 'moving';
-                sittingTimer.time = 2 * 60;
-                Timer.speak('Time to move and stretch!');
-                break;
-            case 'moving':
-                sittingTimer.phase = 'sitting';
-                sittingTimer.time = 20 * 60;
-                Timer.speak('Back to sitting. Remember your posture!');
-                break;
-        }
+        phaseEl.textContent = Sitting.PHASES[position.phase].name.toUpperCase();
+        phaseEl.className = `sitting-phase ${position.phase}`;
+
+        const mins = Math.floor(position.remaining / 60);
+        const secs = position.remaining % 60;
+        document.getElementById('sittingTime').textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
 
-        updateSittingTimerUI();
+        startBtn.textContent = position.running ? 'Pause' : position.started ? 'Resume' : 'Start';
+        document.getElementById('resetSittingTimer').classList.toggle('hidden', !position.started);
     }
 
-    function updateSittingTimerUI() {
-        const phaseEl = document.getElementById('sittingPhase');
-        const timeEl = document.getElementById('sittingTime');
+    // Phase lengths on the habit card, e.g. 'Sit 20 min → Stand 8 min → Move 2 min'
+    function updateSittingPattern() {
+        document.getElementById('sittingPattern').textContent = Sitting.describe(settings);
+        document.getElementById('sittingDesc').textContent =
+            `Sit ${settings.sittingMinutes} min → Stand ${settings.standingMinutes} min → Move ${settings.movingMinutes} min`;
+        updateSittingToday();
+    }
 
-        phaseEl.textContent = sittingTimer.phase.toUpperCase();
-        phaseEl.className = `sitting-phase ${sittingTimer.phase}`;
+    async function updateSittingToday() {
+        const habits = await Storage.getHabitsForToday();
+        const breaks = habits.filter(h => h.type === 'sitting-break').length;
+        document.getElementById('sittingToday').textContent = `${breaks} of ${settings.sittingBreakGoal} breaks today`;
+    }
 
-        const mins = Math.floor(sittingTimer.time / 60);
-        const secs = sittingTimer.time % 60;
-        timeEl.textContent = `${mins}:${secs.toString().padStart(2, '0')}`;
+    // Standalone breathing pacer, using the same timings as during holds
+    function setupBreathPacer() {
+        const toggleBtn = document.getElementById('toggleBreathPacer');
+        const ring = document.getElementById('breathPacerRing');
+        const prompt = document.getElementById('breathPacerPrompt');
+        const count = document.getElementById('breathPacerCount');
+
+        toggleBtn.addEventListener('click', () => {
+            if (Breathing.isRunning()) {
+                const result = Breathing.stop();
+                showBreath(ring, null);
+                prompt.textContent = 'READY';
+                toggleBtn.textContent = 'Start';
+                showToast(`${result.breaths} breaths in ${Timer.formatTime(result.seconds)}`);
+                return;
+            }
+
+            Timer.initAudio();
+            Breathing.start(Breathing.getPattern(settings), {
+                onBreathChange: (breath) => {
+                    showBreath(ring, breath);
+                    prompt.textContent = breath.prompt.toUpperCase();
+                    count.textContent = breath.breath;
+                    if (settings.soundEnabled) Sounds.play(breath.phase === 'inhale' ? 'breatheIn' : 'breatheOut');
+                }
+            });
+            toggleBtn.textContent = 'Stop';
+        });
+
+        updateBreathPatternBadge();
     }
 
-    // Walking tracker
+    function updateBreathPatternBadge() {
+        const pattern = Breathing.getPattern(settings);
+        document.getElementById('breathPatternBadge').textContent = `In ${pattern.inhale}s · Out ${pattern.exhale}s`;
+    }
+
+    // Walking tracker: a walk timer, walks added by hand, today's goal
+    // (from the walking plan when one is on) and a few weeks of history
+    let walkingInterval = null;
+
     function setupWalkingTracker() {
         const addBtn = document.getElementById('addWalking');
         const input = document.getElementById('walkingMinutes');
+        const timerBtn = document.getElementById('toggleWalkingTimer');
+        const historyBtn = document.getElementById('toggleWalkingHistory');
+        const history = document.getElementById('walkingHistory');
 
         addBtn.addEventListener('click', async () => {
             const minutes = parseInt(input.value) || 0;
@@ -1224,89 +2235,371 @@ const App = (() => {
 
             updateWalkingTotal();
             showToast(`Added ${minutes} minutes of walking`);
+            refreshReminders();
+        });
+
+        timerBtn.addEventListener('click', async () => {
+            if (!(await Walking.getTimer())) {
+                await Walking.start();
+                await refreshWalkingTimer();
+                return;
+            }
+
+            const walk = await Walking.stop();
+            await refreshWalkingTimer();
+            if (!walk) {
+                showToast('Walk too short to log');
+                return;
+            }
+            showToast(walk.capped
+                ? `Logged ${walk.minutes} minutes (timed walks stop at ${Walking.MAX_MINUTES / 60} hours)`
+                : `Logged ${walk.minutes} minutes of walking`);
+            updateWalkingTotal();
+            refreshReminders();
+        });
+
+        historyBtn.addEventListener('click', () => {
+            const show = history.classList.contains('hidden');
+            history.classList.toggle('hidden', !show);
+            historyBtn.textContent = show ? 'Hide History' : 'Show History';
+            if (show) renderWalkingHistory();
         });
 
-        // Update goal display
-        document.getElementById('walkingGoal').textContent = `Goal: ${settings.walkingGoal} min`;
+        // The timer runs off its start time, so just redraw on return
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) refreshWalkingTimer();
+        });
 
         updateWalkingTotal();
+        refreshWalkingTimer();
+    }
+
+    async function refreshWalkingTimer() {
+        const timer = await Walking.getTimer();
+        const seconds = Walking.getElapsed(timer);
+        document.getElementById('walkingTimerTime').textContent = Timer.formatTime(seconds);
+        document.getElementById('toggleWalkingTimer').textContent = timer ? 'Stop Walk' : 'Start Walk';
+
+        if (timer && !walkingInterval) {
+            walkingInterval = setInterval(refreshWalkingTimer, 1000);
+        } else if (!timer && walkingInterval) {
+            clearInterval(walkingInterval);
+            walkingInterval = null;
+        }
     }
 
     async function updateWalkingTotal() {
-        const habits = await Storage.getHabitsForToday();
-        const walkingHabits = habits.filter(h => h.type === 'walking');
-        const total = walkingHabits.reduce((sum, h) => sum + h.minutes, 0);
-        document.getElementById('walkingToday').textContent = total;
+        const status = await Walking.getToday(settings);
+        const planEl = document.getElementById('walkingPlanStatus');
+
+        document.getElementById('walkingToday').textContent = status.minutes;
+        document.getElementById('walkingGoal').textContent = `Goal: ${status.goal} min`;
+        planEl.classList.toggle('hidden', !status.plan);
+        if (status.plan) {
+            planEl.textContent = `${status.plan.name} plan, week ${status.plan.week}: ` +
+                `${status.plan.sessions} × ${status.plan.minutes} min. ${Walking.describeNext(status)}`;
+        }
+
+        if (!document.getElementById('walkingHistory').classList.contains('hidden')) renderWalkingHistory();
+    }
+
+    async function renderWalkingHistory() {
+        const data = await Analytics.getWalkingHistory(Walking.getDailyGoal(settings));
+
+        document.getElementById('walkingWeeks').innerHTML = data.weeks.map(week => `
+            <div class="walking-week">
+                <span class="walking-week-label">${week.label}</span>
+                <span class="walking-week-minutes">${week.minutes} min</span>
+                <span class="walking-week-met">${week.daysMet}/7 days</span>
+            </div>
+        `).join('');
+
+        document.getElementById('walkingCalendar').innerHTML = data.days.map(day => {
+            const classes = ['calendar-day', day.status === 'future' ? 'empty' : day.status];
+            if (day.isToday) classes.push('today');
+            return `<div class="${classes.join(' ')}" title="${day.date}: ${day.minutes} min"></div>`;
+        }).join('');
+    }
+
+    // Which plan the walking plan setting would follow
+    function updateWalkingPlanInfo() {
+        const info = document.getElementById('walkingPlanInfo');
+        const plan = Walking.PLANS[settings.recoveryPhase];
+        info.textContent = plan
+            ? `${plan.name} phase: ${Walking.describePlan(plan)}, building up ${plan.weeklyIncrease} min a week`
+            : 'Take the recovery assessment to get a walking plan for your phase.';
     }
 
-    // Nerve floss modal
+    // Guided nerve flossing: options and a symptom check, the paced
+    // session, then a symptom check after and the habit log
+    let flossCheck = null; // { before, after, result } for the session in the modal
+
     function setupNerveFloss() {
         const modal = document.getElementById('nerveFlossModal');
-        const openBtn = document.getElementById('startNerveFloss');
-        const closeBtn = document.getElementById('closeNerveFloss');
-        const nextRepBtn = document.getElementById('flossNextRep');
-        const switchSideBtn = document.getElementById('flossSwitchSide');
+        const techniqueSelect = document.getElementById('flossTechnique');
 
-        let flossState = { rep: 0, side: 'Left' };
+        techniqueSelect.innerHTML = Object.entries(NerveFloss.TECHNIQUES)
+            .map(([id, technique]) => `<option value="${id}">${technique.name}</option>`)
+            .join('');
 
-        openBtn.addEventListener('click', () => {
+        document.getElementById('startNerveFloss').addEventListener('click', () => {
+            flossCheck = { before: null, after: null, result: null };
+            showFlossView('flossSetup');
+            renderFlossOptions();
+            renderPainScale(document.getElementById('flossBeforeScale'));
             modal.classList.remove('hidden');
-            flossState = { rep: 0, side: 'Left' };
-            updateFlossUI();
         });
 
-        closeBtn.addEventListener('click', () => {
+        document.getElementById('closeNerveFloss').addEventListener('click', async () => {
+            if (NerveFloss.isRunning()) NerveFloss.stop();
+            if (flossCheck?.result) await saveFlossSession();
             modal.classList.add('hidden');
         });
 
-        nextRepBtn.addEventListener('click', () => {
-            flossState.rep++;
-            if (settings.soundEnabled) Timer.sounds.countdown();
-            updateFlossUI();
+        [
+            [techniqueSelect, 'flossTechnique', (el) => el.value],
+            [document.getElementById('flossReps'), 'flossReps', (el) => parseInt(el.value)],
+            [document.getElementById('flossPace'), 'flossPace', (el) => parseInt(el.value)]
+        ].forEach(([el, key, read]) => {
+            el.addEventListener('change', async () => {
+                await updateSettings({ [key]: read(el) });
+                renderFlossOptions();
+            });
+        });
 
-            if (flossState.rep >= 15 && flossState.side === 'Right') {
-                setTimeout(() => {
-                    showToast('Nerve flossing complete!');
-                    modal.classList.add('hidden');
-                }, 500);
-            }
+        document.getElementById('flossBeforeScale').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pain]');
+            if (!btn) return;
+            flossCheck.before = parseInt(btn.dataset.pain);
+            renderPainScale(document.getElementById('flossBeforeScale'), flossCheck.before);
+        });
+
+        document.getElementById('flossAfterScale').addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pain]');
+            if (!btn) return;
+            flossCheck.after = parseInt(btn.dataset.pain);
+            renderPainScale(document.getElementById('flossAfterScale'), flossCheck.after);
+
+            const { before, after } = flossCheck;
+            const change = after - before;
+            document.getElementById('flossAfterResult').textContent = before === null ? ''
+                : change === 0 ? `Same as before (${before})`
+                : `${change > 0 ? 'Up' : 'Down'} ${Math.abs(change)} from ${before} before`;
+        });
+
+        document.getElementById('flossStart').addEventListener('click', startFlossSession);
+        document.getElementById('flossStop').addEventListener('click', () => finishFlossSession(NerveFloss.stop()));
+        document.getElementById('flossSave').addEventListener('click', async () => {
+            await saveFlossSession();
+            modal.classList.add('hidden');
         });
 
-        switchSideBtn.addEventListener('click', () => {
-            flossState.side = flossState.side === 'Left' ? 'Right' : 'Left';
-            flossState.rep = 0;
-            updateFlossUI();
+        updateFlossPlan();
+    }
+
+    function showFlossView(id) {
+        ['flossSetup', 'flossRun', 'flossAfter'].forEach(view => {
+            document.getElementById(view).classList.toggle('hidden', view !== id);
         });
+    }
+
+    function renderFlossOptions() {
+        const options = NerveFloss.getOptions(settings);
+        document.getElementById('flossTechnique').value = options.technique;
+        document.getElementById('flossTechniqueDesc').textContent = NerveFloss.TECHNIQUES[options.technique].description;
+        document.getElementById('flossReps').value = options.reps;
+        document.getElementById('flossPace').value = options.pace;
+        document.getElementById('flossStart').textContent = `Start Flossing (${Timer.formatTime(NerveFloss.getDuration(options))})`;
+        updateFlossPlan();
+    }
+
+    // e.g. 'Slider · 10 reps per side' on the habit card
+    function updateFlossPlan() {
+        const options = NerveFloss.getOptions(settings);
+        document.getElementById('flossPlan').textContent =
+            `${NerveFloss.TECHNIQUES[options.technique].name} · ${options.reps} reps per side`;
+    }
 
-        function updateFlossUI() {
-            document.getElementById('flossRepCount').textContent = flossState.rep;
-            document.getElementById('flossSide').textContent = `${flossState.side} Leg`;
-            switchSideBtn.textContent = `Switch to ${flossState.side === 'Left' ? 'Right' : 'Left'}`;
+    function startFlossSession() {
+        const options = NerveFloss.getOptions(settings);
+        document.getElementById('flossRepTotal').textContent = `/ ${options.reps} reps`;
+        showFlossView('flossRun');
+
+        Timer.initAudio();
+        NerveFloss.start(options, {
+            onStep: (step) => {
+                document.getElementById('flossSide').textContent = `${step.side === 'left' ? 'Left' : 'Right'} Leg`;
+                document.getElementById('flossRepCount').textContent = step.rep;
+                document.getElementById('flossCue').textContent = step.prompt;
+                cueFlossStep(step);
+            },
+            onComplete: (result) => {
+                flossCue('workoutComplete', [200, 100, 200]);
+                speakFloss('Done. Nice and easy.');
+                finishFlossSession(result);
+            }
+        });
+    }
+
+    // Sound, vibration and voice for each movement. The full prompt is
+    // spoken on the first rep of a side, then just the rep number.
+    function cueFlossStep(step) {
+        if (step.half === 'switch') {
+            flossCue('exerciseComplete', [100, 80, 100]);
+            speakFloss('Switch legs');
+        } else if (step.half === 'out') {
+            flossCue('cycleUp', [40]);
+            speakFloss(step.rep === 1 ? step.prompt : String(step.rep));
+        } else {
+            flossCue('cycleDown', [20]);
+            if (step.rep === 1) speakFloss(step.prompt);
         }
     }
 
+    function flossCue(sound, pattern) {
+        if (settings.soundEnabled) Sounds.play(sound);
+        if (settings.vibrationEnabled && navigator.vibrate) navigator.vibrate(pattern);
+    }
+
+    function speakFloss(text) {
+        if (settings.soundEnabled && settings.voiceEnabled) Voice.speak(text, true);
+    }
+
+    function finishFlossSession(result) {
+        if (!result) return;
+        flossCheck.result = result;
+
+        document.getElementById('flossResult').textContent =
+            `${NerveFloss.TECHNIQUES[result.technique].name} · Left ${result.reps.left}, Right ${result.reps.right} reps · ${Timer.formatTime(result.seconds)}`;
+        renderPainScale(document.getElementById('flossAfterScale'));
+        document.getElementById('flossAfterResult').textContent = '';
+        showFlossView('flossAfter');
+    }
+
+    async function saveFlossSession() {
+        const { result, before, after } = flossCheck;
+        flossCheck.result = null;
+        if (result.reps.left + result.reps.right === 0) return;
+
+        await NerveFloss.save(result, before, after);
+        showToast(result.completed ? 'Nerve flossing complete!' : 'Nerve flossing saved');
+    }
+
+    // Morning check-in: sleep setup and hours, stiffness and first-hour
+    // pain, one per day (saving again replaces it)
+    let sleepPain = null;
+
+    function setupSleepCheckIn() {
+        const modal = document.getElementById('sleepCheckInModal');
+        const positionSelect = document.getElementById('sleepPosition');
+        const pillowSelect = document.getElementById('sleepPillow');
+        const painScale = document.getElementById('sleepPainScale');
+
+        positionSelect.innerHTML = Object.entries(Sleep.POSITIONS)
+            .map(([id, position]) => `<option value="${id}">${position.name}</option>`)
+            .join('');
+        pillowSelect.innerHTML = Object.entries(Sleep.PILLOWS)
+            .map(([id, pillow]) => `<option value="${id}">${pillow.name}</option>`)
+            .join('');
+
+        document.getElementById('startSleepCheckIn').addEventListener('click', async () => {
+            // Start from today's check-in, or the last one's setup
+            const today = await Sleep.getToday();
+            const [last] = (await Storage.getSleepLogsForRange(30)).sort((a, b) => b.timestamp - a.timestamp);
+            const entry = today || last;
+            positionSelect.value = entry ? entry.position : 'side';
+            pillowSelect.value = entry ? entry.pillow : 'between';
+            document.getElementById('sleepHours').value = today ? today.hours : 7;
+            document.getElementById('sleepStiffness').value = today ? today.stiffnessMinutes : 0;
+            sleepPain = today ? today.morningPain : null;
+            renderPainScale(painScale, sleepPain);
+            modal.classList.remove('hidden');
+        });
+
+        document.getElementById('closeSleepCheckIn').addEventListener('click', () => modal.classList.add('hidden'));
+
+        painScale.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-pain]');
+            if (!btn) return;
+            sleepPain = parseInt(btn.dataset.pain);
+            renderPainScale(painScale, sleepPain);
+        });
+
+        document.getElementById('saveSleepCheckIn').addEventListener('click', async () => {
+            try {
+                await Sleep.save({
+                    position: positionSelect.value,
+                    pillow: pillowSelect.value,
+                    hours: parseFloat(document.getElementById('sleepHours').value),
+                    stiffnessMinutes: parseInt(document.getElementById('sleepStiffness').value),
+                    morningPain: sleepPain
+                });
+            } catch (e) {
+                showToast(e.message);
+                return;
+            }
+            modal.classList.add('hidden');
+            showToast('Morning check-in saved');
+            updateSleepToday();
+        });
+
+        updateSleepToday();
+    }
+
+    async function updateSleepToday() {
+        const today = await Sleep.getToday();
+        const advice = today ? Sleep.getAdvice(today) : null;
+        const adviceEl = document.getElementById('sleepAdvice');
+
+        document.getElementById('sleepToday').textContent = today
+            ? `${Sleep.describeSetup(today)} · ${today.hours} h · ${today.stiffnessMinutes} min stiff · morning pain ${today.morningPain}/10`
+            : 'How did you sleep? Check in each morning to see which setup helps.';
+        document.getElementById('startSleepCheckIn').textContent = today ? 'Edit Check-in' : 'Morning Check-in';
+        adviceEl.classList.toggle('hidden', !advice);
+        adviceEl.textContent = advice || '';
+    }
+
     // Setup settings page
     function setupSettingsPage() {
-        // All settings inputs
-        const settingInputs = [
-            'settingHoldDuration',
-            'settingRestDuration',
-            'settingLevel',
-            'settingWalkingGoal',
-            'settingReminder',
-            'settingReminderTime',
-            'settingDarkMode',
-            'settingSounds',
-            'settingVoice',
-            'settingVibration'
-        ];
-
-        settingInputs.forEach(id => {
+        // Settings with nothing else to them, and what to refresh after
+        [
+            ['settingWalkingGoal', 'walkingGoal', (el) => parseInt(el.value), () => {
+                updateWalkingTotal();
+                refreshReminders();
+            }],
+            ['settingSittingBreakGoal', 'sittingBreakGoal', (el) => parseInt(el.value), updateSittingToday],
+            ['settingSittingMinutes', 'sittingMinutes', (el) => parseInt(el.value), updateSittingPattern],
+            ['settingStandingMinutes', 'standingMinutes', (el) => parseInt(el.value), updateSittingPattern],
+            ['settingMovingMinutes', 'movingMinutes', (el) => parseInt(el.value), updateSittingPattern],
+            ['settingDarkMode', 'darkMode', (el) => el.checked, applySettings],
+            ['settingSounds', 'soundEnabled', (el) => el.checked],
+            ['settingVoice', 'voiceEnabled', (el) => el.checked],
+            ['settingVibration', 'vibrationEnabled', (el) => el.checked]
+        ].forEach(([id, key, read, after]) => {
             const el = document.getElementById(id);
-            if (el) {
-                el.addEventListener('change', saveSettingsFromUI);
+            el.addEventListener('change', async () => {
+                if (await updateSettings({ [key]: read(el) }) && after) after();
+            });
+        });
+
+        // Turning the walking plan on starts it from week 1
+        const walkingPlanToggle = document.getElementById('settingWalkingPlan');
+        walkingPlanToggle.addEventListener('change', async () => {
+            const changes = { walkingPlan: walkingPlanToggle.checked };
+            if (walkingPlanToggle.checked) changes.walkingPlanStart = getTodayKey();
+            if (!(await updateSettings(changes))) return;
+            if (walkingPlanToggle.checked && !Walking.PLANS[settings.recoveryPhase]) {
+                showToast('Take the recovery assessment to start a walking plan');
             }
+            updateWalkingTotal();
+            loadReminderSchedules();
+            refreshReminders();
         });
+        updateWalkingPlanInfo();
+
+        setupSoundSettings();
+        setupVoiceSettings();
+        setupReminderSettings();
 
         // Export data
         document.getElementById('exportData').addEventListener('click', async () => {
@@ -1315,12 +2608,15 @@ const App = (() => {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
-            a.download = `mcgill-big3-backup-${new Date().toISOString().split('T')[0]}.json`;
+            a.download = `mcgill-big3-backup-${Storage.toDateKey()}.json`;
             a.click();
             URL.revokeObjectURL(url);
             showToast('Data exported');
         });
 
+        // Import data
+        setupImport();
+
         // Clear data
         document.getElementById('clearData').addEventListener('click', async () => {
             if (confirm('Are you sure? This will delete all your data. This cannot be undone.')) {
@@ -1330,26 +2626,358 @@ const App = (() => {
         });
     }
 
-    // Save settings from UI
-    async function saveSettingsFromUI() {
-        settings = {
-            holdDuration: parseInt(document.getElementById('settingHoldDuration').value) || 10,
-            restDuration: parseInt(document.getElementById('settingRestDuration').value) || 10,
-            level: document.getElementById('settingLevel').value,
-            walkingGoal: parseInt(document.getElementById('settingWalkingGoal').value) || 30,
-            reminderEnabled: document.getElementById('settingReminder').checked,
-            reminderTime: document.getElementById('settingReminderTime').value,
-            darkMode: document.getElementById('settingDarkMode').checked,
-            soundEnabled: document.getElementById('settingSounds').checked,
-            voiceEnabled: document.getElementById('settingVoice').checked,
-            vibrationEnabled: document.getElementById('settingVibration').checked
+    // Import a backup file created by Export Data
+    function setupImport() {
+        const fileInput = document.getElementById('importFile');
+        const modal = document.getElementById('importModal');
+        let pendingBackup = null;
+
+        const labels = {
+            [Storage.STORES.WORKOUTS]: 'Workouts',
+            [Storage.STORES.PAIN_LOGS]: 'Pain logs',
+            [Storage.STORES.HABITS]: 'Habit entries',
+            [Storage.STORES.PROGRESS]: 'Progress records',
+            [Storage.STORES.ROUTINES]: 'Routines',
+            [Storage.STORES.SLEEP_LOGS]: 'Sleep check-ins',
+            [Storage.STORES.SETTINGS]: 'Settings'
         };
 
-        await Storage.saveSettings(settings);
-        applySettings();
-        updateLevelBadge();
-        updateExerciseList();
-        showToast('Settings saved');
+        document.getElementById('importData').addEventListener('click', () => fileInput.click());
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const preview = Storage.validateBackup(await file.text());
+                pendingBackup = preview.data;
+
+                document.getElementById('importDate').textContent = preview.exportDate
+                    ? `Exported ${new Date(preview.exportDate).toLocaleString()}`
+                    : 'Export date unknown';
+                document.getElementById('importSummary').innerHTML = Object.entries(preview.counts)
+                    .map(([store, count]) => `<li><span>${labels[store] || store}</span><strong>${count}</strong></li>`)
+                    .join('');
+
+                modal.classList.remove('hidden');
+            } catch (error) {
+                showToast(error.message);
+            }
+        });
+
+        const closeModal = () => {
+            modal.classList.add('hidden');
+            pendingBackup = null;
+        };
+
+        const runImport = async (mode) => {
+            if (!pendingBackup) return;
+            try {
+                const imported = await Storage.importData(pendingBackup, mode);
+                const total = Object.values(imported).reduce((sum, n) => sum + n, 0);
+                closeModal();
+                showToast(`Restored ${total} entries`);
+                setTimeout(() => location.reload(), 1000);
+            } catch (error) {
+                showToast(`Import failed: ${error.message}`);
+            }
+        };
+
+        document.getElementById('closeImport').addEventListener('click', closeModal);
+        document.getElementById('importMerge').addEventListener('click', () => runImport('merge'));
+        document.getElementById('importReplace').addEventListener('click', () => {
+            if (confirm('Replace all data on this device with the backup? This cannot be undone.')) {
+                runImport('replace');
+            }
+        });
+    }
+
+    // Sound theme picker plus per-event preview, volume and custom files
+    function setupSoundSettings() {
+        const themeSelect = document.getElementById('settingSoundTheme');
+        const list = document.getElementById('soundEventList');
+        const fileInput = document.getElementById('soundFile');
+        let pendingEvent = null;
+
+        themeSelect.innerHTML = Object.entries(Sounds.THEMES)
+            .map(([id, theme]) => `<option value="${id}">${theme.name}</option>`)
+            .join('');
+        themeSelect.value = settings.soundTheme || 'default';
+
+        themeSelect.addEventListener('change', async () => {
+            if (!await updateSettings({ soundTheme: themeSelect.value })) return;
+            Sounds.configure(settings);
+            Sounds.initAudio();
+            Sounds.play('startHold', { theme: settings.soundTheme });
+        });
+
+        renderSoundEvents();
+
+        list.addEventListener('change', async (e) => {
+            const row = e.target.closest('[data-sound-event]');
+            if (!row || !('volume' in e.target.dataset)) return;
+
+            const event = row.dataset.soundEvent;
+            await updateSettings({ soundVolumes: { ...settings.soundVolumes, [event]: parseInt(e.target.value) / 100 } });
+            Sounds.configure(settings);
+            Sounds.play(event);
+        });
+
+        list.addEventListener('click', async (e) => {
+            const button = e.target.closest('button');
+            const row = e.target.closest('[data-sound-event]');
+            if (!button || !row) return;
+
+            const event = row.dataset.soundEvent;
+            if ('preview' in button.dataset) {
+                Sounds.initAudio();
+                Sounds.play(event);
+            } else if ('upload' in button.dataset) {
+                pendingEvent = event;
+                fileInput.click();
+            } else if ('reset' in button.dataset) {
+                await Sounds.removeCustomSound(event);
+                renderSoundEvents();
+                showToast(`${Sounds.EVENTS[event]}: back to theme sound`);
+            }
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file || !pendingEvent) return;
+
+            try {
+                await Sounds.setCustomSound(pendingEvent, file);
+                renderSoundEvents();
+                showToast(`${Sounds.EVENTS[pendingEvent]}: using ${file.name}`);
+            } catch (error) {
+                showToast(error.message);
+            }
+        });
+    }
+
+    // One row per sound event: preview, volume and custom file controls
+    function renderSoundEvents() {
+        document.getElementById('soundEventList').innerHTML = Object.entries(Sounds.EVENTS).map(([event, label]) => {
+            const customName = Sounds.getCustomSoundName(event);
+            return `
+                <div class="sound-event" data-sound-event="${event}">
+                    <div class="sound-event-info">
+                        <span class="sound-event-label">${label}</span>
+                        ${customName ? `<small class="sound-event-custom">${escapeHtml(customName)}</small>` : ''}
+                    </div>
+                    <input type="range" class="range-input" data-volume min="0" max="100" step="10"
+                        value="${Math.round(Sounds.getVolume(event) * 100)}" aria-label="${label} volume">
+                    <button class="btn-ghost" data-preview aria-label="Preview ${label}">▶</button>
+                    <button class="btn-ghost" data-upload aria-label="Use a custom sound for ${label}">📁</button>
+                    ${customName ? `<button class="btn-ghost" data-reset aria-label="Remove custom sound">✕</button>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Voice coaching: verbosity, voice and rate, each previewed on change
+    function setupVoiceSettings() {
+        const verbositySelect = document.getElementById('settingVoiceVerbosity');
+        const voiceSelect = document.getElementById('settingVoiceName');
+        const rateSlider = document.getElementById('settingVoiceRate');
+
+        verbositySelect.innerHTML = Object.entries(Voice.VERBOSITY)
+            .map(([id, level]) => `<option value="${id}">${level.name} - ${level.description}</option>`)
+            .join('');
+        verbositySelect.value = settings.voiceVerbosity || 'standard';
+
+        // Voices load asynchronously in most browsers
+        const renderVoices = () => {
+            voiceSelect.innerHTML = '<option value="">System default</option>' + Voice.getVoices()
+                .map(voice => `<option value="${voice.voiceURI}">${voice.name} (${voice.lang})</option>`)
+                .join('');
+            voiceSelect.value = settings.voiceURI || '';
+        };
+        renderVoices();
+        Voice.onVoicesChanged(renderVoices);
+
+        rateSlider.addEventListener('input', (e) => {
+            document.getElementById('voiceRateValue').textContent = formatRate(e.target.value);
+        });
+
+        [
+            [verbositySelect, 'voiceVerbosity', (el) => el.value],
+            [voiceSelect, 'voiceURI', (el) => el.value],
+            [rateSlider, 'voiceRate', (el) => parseFloat(el.value)]
+        ].forEach(([el, key, read]) => {
+            el.addEventListener('change', async () => {
+                if (!await updateSettings({ [key]: read(el) })) return;
+                Voice.configure(settings);
+                Voice.speak('Hold steady, keep breathing', true);
+            });
+        });
+    }
+
+    // Speaking rate for display, e.g. '1.2×'
+    function formatRate(rate) {
+        return `${parseFloat(rate).toFixed(1)}×`;
+    }
+
+    // ===== Reminders =====
+    // Reminder schedules, one per type, as shown in settings
+    let reminderSchedules = [];
+
+    function setupReminderSettings() {
+        const list = document.getElementById('reminderList');
+
+        list.addEventListener('change', (e) => {
+            const item = e.target.closest('[data-reminder]');
+            if (item) saveReminderItem(item);
+        });
+
+        list.addEventListener('click', (e) => {
+            const dayBtn = e.target.closest('[data-day]');
+            if (!dayBtn) return;
+            dayBtn.classList.toggle('active');
+            saveReminderItem(dayBtn.closest('[data-reminder]'));
+        });
+    }
+
+    function renderReminderSettings() {
+        const list = document.getElementById('reminderList');
+
+        list.innerHTML = reminderSchedules.map(schedule => {
+            const type = Reminders.TYPES[schedule.id];
+            const days = Reminders.DAY_NAMES.map((day, i) => `
+                <button class="reminder-day ${schedule.days.includes(i) ? 'active' : ''}" data-day="${i}" title="${day}">${day[0]}</button>
+            `).join('');
+            const when = schedule.interval
+                ? `<span>Every</span>
+                   <input type="number" class="number-input" data-field="interval" value="${schedule.interval}"
+                       min="${Reminders.INTERVAL_LIMITS.min}" max="${Reminders.INTERVAL_LIMITS.max}">
+                   <span>min from</span>
+                   <input type="time" class="time-input" data-field="from" value="${schedule.from}">
+                   <span>to</span>
+                   <input type="time" class="time-input" data-field="until" value="${schedule.until}">`
+                : schedule.planTimes
+                    ? `<span>At</span>
+                       <input type="text" class="text-input" value="${schedule.planTimes.join(', ')}" disabled>
+                       <small>Set by your walking plan</small>`
+                    : `<span>At</span>
+                       <input type="text" class="text-input" data-field="times" value="${schedule.times.join(', ')}"
+                           placeholder="08:00, 18:00">`;
+
+            return `
+                <div class="reminder-item" data-reminder="${schedule.id}">
+                    <div class="setting-item toggle">
+                        <label class="setting-label">${type.icon} ${type.name}</label>
+                        <label class="switch">
+                            <input type="checkbox" data-field="enabled" ${schedule.enabled ? 'checked' : ''}>
+                            <span class="slider"></span>
+                        </label>
+                    </div>
+                    <div class="reminder-schedule ${schedule.enabled ? '' : 'hidden'}">
+                        <div class="reminder-days">${days}</div>
+                        <div class="reminder-row">${when}</div>
+                        <div class="reminder-row">
+                            <span>Quiet</span>
+                            <input type="time" class="time-input" data-field="quietStart" value="${schedule.quietStart}">
+                            <span>to</span>
+                            <input type="time" class="time-input" data-field="quietEnd" value="${schedule.quietEnd}">
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('reminderStatus').textContent = Reminders.describe(reminderSchedules);
+    }
+
+    // Save one reminder's schedule from its settings row
+    async function saveReminderItem(item) {
+        const current = reminderSchedules.find(s => s.id === item.dataset.reminder);
+        const field = name => item.querySelector(`[data-field="${name}"]`);
+
+        const schedule = {
+            ...current,
+            enabled: field('enabled').checked,
+            days: [...item.querySelectorAll('[data-day].active')].map(btn => parseInt(btn.dataset.day)),
+            quietStart: field('quietStart').value,
+            quietEnd: field('quietEnd').value
+        };
+        if (current.interval) {
+            schedule.interval = parseInt(field('interval').value);
+            schedule.from = field('from').value;
+            schedule.until = field('until').value;
+        } else if (!current.planTimes) {
+            schedule.times = field('times').value.split(',').map(time => time.trim()).filter(Boolean);
+        }
+
+        try {
+            if (schedule.enabled && !current.enabled) {
+                await Reminders.requestPermission();
+            }
+            const saved = await Reminders.saveSchedule(schedule);
+            reminderSchedules = reminderSchedules.map(s => s.id === saved.id ? saved : s);
+        } catch (error) {
+            showToast(error.message);
+        }
+
+        renderReminderSettings();
+        refreshReminders();
+    }
+
+    // Load reminder schedules, show any that are due, and follow a link
+    // from a reminder's action
+    async function setupReminders() {
+        await loadReminderSchedules();
+
+        if ('serviceWorker' in navigator) {
+            navigator.serviceWorker.addEventListener('message', (e) => {
+                if (e.data?.type === 'open') {
+                    openFromReminder(new URL(e.data.url, window.location.href).searchParams);
+                }
+            });
+        }
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('action') || params.has('page')) {
+            history.replaceState(null, '', window.location.pathname);
+            openFromReminder(params);
+        } else {
+            const due = await Reminders.getDue(settings);
+            if (due.length > 0) {
+                await Reminders.markShown(due.map(reminder => reminder.type));
+                showToast(`⏰ ${due.map(reminder => reminder.body).join(' · ')}`, 5000);
+            }
+        }
+
+        refreshReminders();
+    }
+
+    // Reload schedules for settings; walking times follow the walking plan
+    async function loadReminderSchedules() {
+        reminderSchedules = await Reminders.getSchedules(settings);
+        renderReminderSettings();
+    }
+
+    function refreshReminders() {
+        if (!Reminders.isSupported()) return;
+        Reminders.schedule(settings).catch(error => console.log('Reminder scheduling failed:', error));
+    }
+
+    // Deep links: ?action=start-workout, ?action=nerve-floss or ?page=<page>
+    function openFromReminder(params) {
+        if (workoutInProgress) return;
+
+        const action = params.get('action');
+        if (action === 'start-workout') {
+            navigateTo('workout');
+            startWorkout();
+        } else if (action === 'nerve-floss') {
+            navigateTo('habits');
+            document.getElementById('startNerveFloss').click();
+        } else if (params.get('page')) {
+            navigateTo(params.get('page'));
+        }
     }
 
     // Show toast notification
@@ -0,0 +1,113 @@
+/**
+ * McGill Big 3 - Breathing Module
+ * Paced breathing: keep breathing steadily while bracing during holds,
+ * or on its own from the Habits page
+ */
+
+const Breathing = (() => {
+    const DEFAULTS = {
+        inhale: 4, // seconds
+        exhale: 6
+    };
+
+    const LIMITS = { min: 2, max: 10 };
+
+    const PROMPTS = {
+        inhale: 'Breathe in',
+        exhale: 'Breathe out'
+    };
+
+    // Inhale/exhale seconds from settings, within limits
+    function getPattern(settings = {}) {
+        const clamp = (value, fallback) => {
+            const seconds = parseInt(value);
+            return Number.isInteger(seconds) ? Math.min(LIMITS.max, Math.max(LIMITS.min, seconds)) : fallback;
+        };
+
+        return {
+            inhale: clamp(settings.breathInhale, DEFAULTS.inhale),
+            exhale: clamp(settings.breathExhale, DEFAULTS.exhale)
+        };
+    }
+
+    // Where the breath is elapsedMs into a paced stretch, which always
+    // starts with an inhale. step counts half-breaths so callers can spot
+    // a change.
+    function getBreathAt(elapsedMs, pattern) {
+        const cycleMs = (pattern.inhale + pattern.exhale) * 1000;
+        const cycle = Math.floor(Math.max(0, elapsedMs) / cycleMs);
+        const isInhale = elapsedMs - cycle * cycleMs < pattern.inhale * 1000;
+
+        return {
+            phase: isInhale ? 'inhale' : 'exhale',
+            duration: isInhale ? pattern.inhale : pattern.exhale,
+            prompt: PROMPTS[isInhale ? 'inhale' : 'exhale'],
+            step: cycle * 2 + (isInhale ? 0 : 1),
+            breath: cycle + 1
+        };
+    }
+
+    // ===== Standalone pacer =====
+    // Wall-clock driven like the workout timer, so a throttled tab stays in step
+    const LOOP_INTERVAL = 200; // ms
+
+    let session = null;
+
+    function start(pattern, callbacks = {}) {
+        stop();
+
+        session = {
+            pattern: pattern,
+            startedAt: Date.now(),
+            step: null,
+            interval: null,
+            onBreathChange: callbacks.onBreathChange || (() => { }),
+            onTick: callbacks.onTick || (() => { })
+        };
+
+        session.interval = setInterval(update, LOOP_INTERVAL);
+        update();
+    }
+
+    function update() {
+        if (!session) return;
+
+        const elapsed = Date.now() - session.startedAt;
+        const breath = getBreathAt(elapsed, session.pattern);
+
+        if (breath.step !== session.step) {
+            session.step = breath.step;
+            session.onBreathChange(breath);
+        }
+
+        session.onTick({ elapsed: Math.floor(elapsed / 1000), breath: breath });
+    }
+
+    // Stop the pacer; returns how long it ran
+    function stop() {
+        if (!session) return null;
+
+        clearInterval(session.interval);
+        const result = {
+            seconds: Math.round((Date.now() - session.startedAt) / 1000),
+            breaths: Math.floor(session.step / 2) + 1
+        };
+        session = null;
+        return result;
+    }
+
+    function isRunning() {
+        return session !== null;
+    }
+
+    return {
+        DEFAULTS,
+        LIMITS,
+        PROMPTS,
+        getPattern,
+        getBreathAt,
+        start,
+        stop,
+        isRunning
+    };
+})();
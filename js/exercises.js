@@ -180,9 +180,101 @@ const Exercises = (() => {
         }
     ];
 
+    // Variations used by programs but not part of the daily Big 3 list
+    const VARIATIONS = [
+        {
+            id: 'front-plank',
+            name: 'Front Plank',
+            side: 'Front',
+            icon: '➖',
+            bilateral: false,
+            instructions: [
+                'Rest on forearms and toes, elbows under shoulders',
+                'Brace your core and squeeze your glutes',
+                'Keep a straight line from head to heels',
+                'Hold, then lower with control'
+            ],
+            tips: [
+                'Don\'t let hips sag or pike up',
+                'Breathe normally throughout the hold'
+            ],
+            audioInstructions: {
+                start: 'Roll to front plank',
+                hold: 'Hold steady, hips level',
+                release: 'Lower down with control'
+            }
+        },
+        {
+            id: 'rolling-plank',
+            name: 'Rolling Side Plank',
+            icon: '🔄',
+            bilateral: false,
+            // Held in order within each rep, rolling between positions
+            chain: ['side-plank-left', 'front-plank', 'side-plank-right'],
+            instructions: [
+                'Start in a left side plank',
+                'Roll to a front plank, moving ribcage and pelvis as one unit',
+                'Continue rolling into a right side plank',
+                'Keep the core braced throughout each roll'
+            ],
+            tips: [
+                'Move shoulders and hips together - no twisting through the spine',
+                'Breathe normally throughout the hold'
+            ],
+            audioInstructions: {
+                start: 'Lift hips, left side plank',
+                hold: 'Hold steady, keep breathing',
+                release: 'Lower down with control'
+            }
+        },
+        {
+            id: 'cat-camel',
+            name: 'Cat-Camel',
+            icon: '🐱',
+            bilateral: false,
+            instructions: [
+                'Start on hands and knees, hands under shoulders',
+                'Slowly round your back up toward the ceiling (cat)',
+                'Then gently let it sag toward the floor (camel)',
+                'Keep cycling through a comfortable range'
+            ],
+            tips: [
+                'This is motion, not a stretch - don\'t push to end range',
+                '7-8 slow cycles are usually enough'
+            ],
+            audioInstructions: {
+                start: 'Slowly cycle between cat and camel',
+                hold: 'Keep the motion slow and easy',
+                release: 'Relax'
+            },
+            // Spoken on the first cycle of a counted warm-up, one per half cycle
+            cycleCues: ['Round your back up', 'Let it sag down']
+        },
+        {
+            id: 'easy-walk',
+            name: 'Easy Walk',
+            icon: '🚶',
+            bilateral: false,
+            instructions: [
+                'Walk at a relaxed, comfortable pace',
+                'Stand tall and let your arms swing naturally',
+                'Breathe easily - you should be able to talk'
+            ],
+            tips: [
+                'Swinging the arms from the shoulders helps the spine unload',
+                'Stop if pain increases'
+            ],
+            audioInstructions: {
+                start: 'Cool down with an easy walk',
+                hold: 'Relaxed pace, arms swinging',
+                release: 'Cool-down complete'
+            }
+        }
+    ];
+
     // Get exercise by id
     function getExercise(id) {
-        return EXERCISES.find(ex => ex.id === id);
+        return EXERCISES.find(ex => ex.id === id) || VARIATIONS.find(ex => ex.id === id);
     }
 
     // Get all exercises
@@ -190,6 +282,31 @@ const Exercises = (() => {
         return EXERCISES;
     }
 
+    // Base id shared by both sides of a bilateral exercise (side-plank-left → side-plank)
+    function getBaseId(exerciseId) {
+        return exerciseId.replace('-left', '').replace('-right', '');
+    }
+
+    // Ids covered when doing an exercise: both sides for bilateral ones
+    function getGroupIds(exerciseId) {
+        const exercise = getExercise(exerciseId);
+        if (!exercise || !exercise.bilateral) return [exerciseId];
+        const baseId = getBaseId(exerciseId);
+        return [`${baseId}-left`, `${baseId}-right`];
+    }
+
+    // The Big 3 as groups: Curl-Up, Side Plank (L+R), Bird-Dog (L+R)
+    function getExerciseGroups() {
+        const groups = [];
+        EXERCISES.forEach(ex => {
+            const baseId = getBaseId(ex.id);
+            if (!groups.some(g => g.baseId === baseId)) {
+                groups.push({ baseId, ids: getGroupIds(ex.id) });
+            }
+        });
+        return groups;
+    }
+
     // Get level info
     function getLevel(levelId) {
         return LEVELS[levelId] || LEVELS.standard;
@@ -205,42 +322,242 @@ const Exercises = (() => {
         return BAD_DAY_LEVEL;
     }
 
-    // Generate workout plan for a level
-    function generateWorkoutPlan(levelId, isBadDay = false) {
+    // Parse a rep pattern like '8-5-3' into sets. Each set may set its own
+    // hold ('5@10-3@12-1@15') or a hold per rep ('3@10/12/15'); the last
+    // listed hold repeats for the remaining reps.
+    function parseRepPattern(pattern, defaultHold) {
+        const sets = String(pattern).split('-').map(token => {
+            const [repsPart, holdsPart] = token.trim().split('@');
+            const reps = parseInt(repsPart);
+            if (!reps || reps < 1) return null;
+
+            const holds = holdsPart
+                ? holdsPart.split('/').map(h => parseInt(h)).filter(h => h > 0)
+                : [];
+            if (holds.length === 0) holds.push(defaultHold);
+
+            const repHolds = [];
+            for (let i = 0; i < reps; i++) {
+                repHolds.push(holds[Math.min(i, holds.length - 1)]);
+            }
+            return { reps, repHolds };
+        });
+
+        return sets.every(Boolean) && sets.length > 0 ? sets : null;
+    }
+
+    // Default rests (seconds): between reps, after a set or exercise, and
+    // between the left and right side of a bilateral exercise
+    const DEFAULT_RESTS = {
+        restDuration: 10,
+        betweenSetsRest: 20,
+        sideSwitchRest: 5
+    };
+
+    // Default warm-up (counted cat-camel cycles) and cool-down (easy walk)
+    const DEFAULT_BLOCKS = {
+        warmupCycles: 8,
+        cycleDuration: 4, // seconds per full cat-camel cycle
+        cooldownMinutes: 5
+    };
+
+    // Sets scaled down for a lighter day: fewer reps and shorter holds
+    function scaleSets(sets, repScale = 1, holdScale = 1) {
+        return sets.map(set => {
+            const reps = Math.max(1, Math.round(set.reps * repScale));
+            return {
+                reps: reps,
+                repHolds: set.repHolds.slice(0, reps).map(hold => Math.max(3, Math.round(hold * holdScale)))
+            };
+        });
+    }
+
+    // Build the program a plan is generated from. Custom settings
+    // (repPattern, holdDuration, rollingPlank, rests) override the level
+    // defaults; bad day mode always uses the gentle routine. An
+    // auto-regression (options.regression) scales the sets down and can
+    // drop or further ease exercises for the day.
+    function getProgram(levelId, isBadDay = false, options = {}) {
         const level = isBadDay ? BAD_DAY_LEVEL : getLevel(levelId);
+        const holdDuration = isBadDay ? level.holdDuration : (options.holdDuration || level.holdDuration);
+        const regression = options.regression || null;
+
+        let sets = (!isBadDay && options.repPattern && parseRepPattern(options.repPattern, holdDuration)) ||
+            level.pyramid.map(reps => ({ reps, repHolds: new Array(reps).fill(holdDuration) }));
+        if (regression && !isBadDay) {
+            sets = scaleSets(sets, regression.repScale, regression.holdScale);
+        }
+
+        return {
+            level: level,
+            levelId: LEVELS[levelId] ? levelId : 'standard',
+            sets: sets,
+            holdDuration: holdDuration,
+            restDuration: options.restDuration ?? DEFAULT_RESTS.restDuration,
+            betweenSetsRest: options.betweenSetsRest ?? DEFAULT_RESTS.betweenSetsRest,
+            sideSwitchRest: options.sideSwitchRest ?? DEFAULT_RESTS.sideSwitchRest,
+            rollingPlank: !isBadDay && !regression && !!options.rollingPlank,
+            regression: regression,
+            skipExercises: regression ? regression.dropExerciseIds || [] : [],
+            easeExercises: regression ? regression.easeExerciseIds || [] : [],
+            warmup: options.warmupEnabled ? {
+                cycles: options.warmupCycles || DEFAULT_BLOCKS.warmupCycles,
+                cycleDuration: DEFAULT_BLOCKS.cycleDuration
+            } : null,
+            cooldown: options.cooldownEnabled ? {
+                minutes: options.cooldownMinutes || DEFAULT_BLOCKS.cooldownMinutes
+            } : null
+        };
+    }
+
+    // Short description of a program, e.g. '5-3-1 reps × 10s holds'
+    function describeProgram(program) {
+        const pattern = program.sets.map(set => set.reps).join('-');
+        const holds = [...new Set(program.sets.flatMap(set => set.repHolds))];
+        return `${pattern} reps × ${holds.join('/')}s holds`;
+    }
+
+    // Plan items for one set of an exercise. The rolling plank holds each
+    // position of its chain in turn within every rep.
+    function createPlanItems(exercise, set, setIndex, totalSets, restDuration = DEFAULT_RESTS.restDuration) {
+        const item = {
+            exercise: exercise,
+            setNumber: setIndex + 1,
+            totalSets: totalSets,
+            reps: set.reps,
+            holdDuration: set.repHolds[0],
+            repHolds: set.repHolds,
+            restDuration: restDuration,
+            block: 'main',
+            isLastSet: setIndex === totalSets - 1
+        };
+
+        if (exercise.chain) {
+            item.segments = exercise.chain.map(getExercise);
+            item.repHolds = set.repHolds.map(hold => hold * item.segments.length);
+            item.holdDuration = item.repHolds[0];
+        }
+
+        return item;
+    }
+
+    // A single-rep plan item for a warm-up or cool-down block
+    function createBlockItem(exercise, block, duration) {
+        return {
+            exercise: exercise,
+            setNumber: 1,
+            totalSets: 1,
+            reps: 1,
+            holdDuration: duration,
+            repHolds: [duration],
+            restDuration: 0,
+            block: block,
+            isLastSet: true
+        };
+    }
+
+    // Wrap a plan's items with the program's warm-up and cool-down.
+    // The warm-up is counted cycles, paced by the timer.
+    function addWarmupAndCooldown(plan, program) {
+        if (program.warmup) {
+            const { cycles, cycleDuration } = program.warmup;
+            plan.unshift({
+                ...createBlockItem(getExercise('cat-camel'), 'warmup', cycles * cycleDuration),
+                cycles: cycles,
+                cycleDuration: cycleDuration
+            });
+        }
+        if (program.cooldown) {
+            plan.push(createBlockItem(getExercise('easy-walk'), 'cooldown', program.cooldown.minutes * 60));
+        }
+        return plan;
+    }
+
+    // Set each item's restAfter: the rest before the next item. Moving to the
+    // other side of the same set uses sideSwitchRest, anything else
+    // betweenSetsRest (or the item's own rest when that isn't given).
+    function assignRests(plan, rests) {
+        plan.forEach((item, i) => {
+            const next = plan[i + 1];
+            if (!next) {
+                item.restAfter = 0;
+            } else if (isSideSwitch(item, next)) {
+                item.restAfter = rests.sideSwitchRest ?? item.restDuration;
+            } else {
+                item.restAfter = rests.betweenSetsRest ?? item.restDuration;
+            }
+        });
+        return plan;
+    }
+
+    function isSideSwitch(item, next) {
+        return item.exercise.side && next.exercise.side &&
+            item.exercise.side !== next.exercise.side &&
+            getBaseId(item.exercise.id) === getBaseId(next.exercise.id) &&
+            item.setNumber === next.setNumber;
+    }
+
+    // Exercises in plan order, without any dropped for the day and with the
+    // side planks swapped for the rolling plank if enabled
+    function getPlanExercises(program) {
+        const exercises = EXERCISES.filter(ex => !(program.skipExercises || []).includes(getBaseId(ex.id)));
+        if (!program.rollingPlank) return exercises;
+
+        const rolling = getExercise('rolling-plank');
+        return exercises
+            .filter(ex => ex.id !== 'side-plank-right')
+            .map(ex => ex.id === 'side-plank-left' ? rolling : ex);
+    }
+
+    // Generate workout plan for a level
+    function generateWorkoutPlan(levelId, isBadDay = false, options = {}) {
+        const program = getProgram(levelId, isBadDay, options);
+        const exercises = getPlanExercises(program);
         const plan = [];
 
         // For each exercise
-        EXERCISES.forEach(exercise => {
-            // For each set in the pyramid
-            level.pyramid.forEach((reps, setIndex) => {
-                plan.push({
-                    exercise: exercise,
-                    setNumber: setIndex + 1,
-                    totalSets: level.pyramid.length,
-                    reps: reps,
-                    holdDuration: level.holdDuration,
-                    isLastSet: setIndex === level.pyramid.length - 1
-                });
+        exercises.forEach(exercise => {
+            const sets = getExerciseSets(program, exercise);
+
+            // For each set in the program
+            sets.forEach((set, setIndex) => {
+                plan.push(createPlanItems(exercise, set, setIndex, sets.length, program.restDuration));
             });
         });
+        addWarmupAndCooldown(plan, program);
+        assignRests(plan, program);
 
         return {
-            level: level,
+            level: program.level,
+            levelId: program.levelId,
+            program: program,
             exercises: plan,
-            totalExercises: EXERCISES.length,
-            estimatedDuration: calculateDuration(plan, level.holdDuration, 10)
+            totalExercises: exercises.length,
+            estimatedDuration: calculateDuration(plan)
         };
     }
 
+    // The program's sets for one exercise, eased further when a regression
+    // asks for it
+    function getExerciseSets(program, exercise) {
+        if (!(program.easeExercises || []).includes(getBaseId(exercise.id))) return program.sets;
+        const { repScale, holdScale } = program.regression.easeScale;
+        return scaleSets(program.sets, repScale, holdScale);
+    }
+
     // Generate workout plan for a SINGLE exercise (or bilateral pair)
     // For bilateral exercises (side-plank, bird-dog), this generates L→R within each set
-    function generateSingleExercisePlan(exerciseId, levelId, isBadDay = false) {
-        const level = isBadDay ? BAD_DAY_LEVEL : getLevel(levelId);
-        const exercise = getExercise(exerciseId);
+    function generateSingleExercisePlan(exerciseId, levelId, isBadDay = false, options = {}) {
+        const program = getProgram(levelId, isBadDay, options);
+        let exercise = getExercise(exerciseId);
 
         if (!exercise) return null;
 
+        // The rolling plank covers both side planks in one chained hold
+        if (program.rollingPlank && getBaseId(exerciseId) === 'side-plank') {
+            exercise = getExercise('rolling-plank');
+        }
+
         const plan = [];
 
         // Check if this is a bilateral exercise (has a pair)
@@ -249,46 +566,44 @@ const Exercises = (() => {
 
         if (isBilateral) {
             // Find the pair (e.g., side-plank-left → side-plank-right)
-            const baseId = exerciseId.replace('-left', '').replace('-right', '');
+            const baseId = getBaseId(exerciseId);
             const isLeft = exerciseId.endsWith('-left');
             const pairId = isLeft ? `${baseId}-right` : `${baseId}-left`;
             pairExercise = getExercise(pairId);
         }
 
-        // For each set in the pyramid (e.g., 5-3-1)
-        level.pyramid.forEach((reps, setIndex) => {
+        const sets = getExerciseSets(program, exercise);
+        const totalSets = sets.length;
+
+        // For each set in the program (e.g., 5-3-1)
+        sets.forEach((set, setIndex) => {
             // Add this side
             plan.push({
-                exercise: exercise,
-                setNumber: setIndex + 1,
-                totalSets: level.pyramid.length,
-                reps: reps,
-                holdDuration: level.holdDuration,
-                isLastSet: setIndex === level.pyramid.length - 1 && !pairExercise,
+                ...createPlanItems(exercise, set, setIndex, totalSets, program.restDuration),
+                isLastSet: setIndex === totalSets - 1 && !pairExercise,
                 phase: 'primary'
             });
 
             // If bilateral, add the other side immediately after (before rest)
             if (pairExercise) {
                 plan.push({
-                    exercise: pairExercise,
-                    setNumber: setIndex + 1,
-                    totalSets: level.pyramid.length,
-                    reps: reps,
-                    holdDuration: level.holdDuration,
-                    isLastSet: setIndex === level.pyramid.length - 1,
+                    ...createPlanItems(pairExercise, set, setIndex, totalSets, program.restDuration),
                     phase: 'pair'
                 });
             }
         });
+        addWarmupAndCooldown(plan, program);
+        assignRests(plan, program);
 
         return {
-            level: level,
+            level: program.level,
+            levelId: program.levelId,
+            program: program,
             exerciseId: exerciseId,
             exercises: plan,
-            totalSets: level.pyramid.length,
+            totalSets: totalSets,
             isBilateral: isBilateral,
-            estimatedDuration: calculateDuration(plan, level.holdDuration, 10)
+            estimatedDuration: calculateDuration(plan)
         };
     }
 
@@ -301,52 +616,65 @@ const Exercises = (() => {
         return null; // No more exercises
     }
 
-    // Calculate estimated workout duration
-    function calculateDuration(plan, holdDuration, restDuration) {
-        let totalSeconds = 0;
-        plan.forEach(item => {
+    // Calculate estimated workout duration from the timings the timer will use
+    function calculateDuration(plan, holdDuration = 10, restDuration = DEFAULT_RESTS.restDuration) {
+        let totalSeconds = 3; // Countdown before the first hold
+        plan.forEach((item, i) => {
             // Hold time for all reps
-            totalSeconds += item.reps * holdDuration;
+            totalSeconds += item.repHolds
+                ? item.repHolds.reduce((sum, hold) => sum + hold, 0)
+                : item.reps * (item.holdDuration || holdDuration);
             // Rest between reps (minus 1 since no rest after last rep)
-            totalSeconds += (item.reps - 1) * restDuration;
-            // Rest between sets/exercises
-            totalSeconds += restDuration;
+            totalSeconds += (item.reps - 1) * (item.restDuration ?? restDuration);
+            // Rest before the next set, side or exercise
+            if (i < plan.length - 1) {
+                totalSeconds += item.restAfter ?? item.restDuration ?? restDuration;
+            }
         });
         return Math.ceil(totalSeconds / 60); // Return minutes
     }
 
+    const LEVEL_ORDER = ['beginner', 'developing', 'standard', 'advanced', 'challenge'];
+
     // Get next level
     function getNextLevel(currentLevelId) {
-        const levelOrder = ['beginner', 'developing', 'standard', 'advanced', 'challenge'];
-        const currentIndex = levelOrder.indexOf(currentLevelId);
-        if (currentIndex < levelOrder.length - 1) {
-            return levelOrder[currentIndex + 1];
+        const currentIndex = LEVEL_ORDER.indexOf(currentLevelId);
+        if (currentIndex < LEVEL_ORDER.length - 1) {
+            return LEVEL_ORDER[currentIndex + 1];
         }
         return null;
     }
 
-    // Check if should suggest level up
-    function shouldSuggestLevelUp(currentLevelId, completedSessions) {
-        const level = getLevel(currentLevelId);
-        if (level.sessionsToAdvance && completedSessions >= level.sessionsToAdvance) {
-            return getNextLevel(currentLevelId);
-        }
-        return null;
+    // Get previous level
+    function getPreviousLevel(currentLevelId) {
+        const currentIndex = LEVEL_ORDER.indexOf(currentLevelId);
+        return currentIndex > 0 ? LEVEL_ORDER[currentIndex - 1] : null;
     }
 
     return {
         LEVELS,
         EXERCISES,
+        VARIATIONS,
+        DEFAULT_RESTS,
+        DEFAULT_BLOCKS,
         getExercise,
         getAllExercises,
+        getBaseId,
+        getGroupIds,
+        getExerciseGroups,
         getLevel,
         getAllLevels,
         getBadDayLevel,
+        parseRepPattern,
+        getProgram,
+        describeProgram,
+        createPlanItems,
+        assignRests,
         generateWorkoutPlan,
         generateSingleExercisePlan,
         getNextExercise,
         calculateDuration,
         getNextLevel,
-        shouldSuggestLevelUp
+        getPreviousLevel
     };
 })();
@@ -0,0 +1,169 @@
+/**
+ * McGill Big 3 - Nerve Floss Module
+ * Guided seated sciatic nerve flossing: each rep is an out and a back
+ * movement at a steady cadence, one side then the other
+ */
+
+const NerveFloss = (() => {
+    // Sliders tension the nerve at one end while slackening the other, so
+    // it glides; tensioners lengthen both ends at once and are stronger
+    const TECHNIQUES = {
+        slider: {
+            name: 'Slider',
+            description: 'Gentlest. The nerve glides without stretching. Start here.',
+            prompts: {
+                out: 'Straighten the leg, look up',
+                back: 'Bend the knee, chin down'
+            }
+        },
+        tensioner: {
+            name: 'Tensioner',
+            description: 'Stronger stretch on the nerve. Only once sliders feel easy.',
+            prompts: {
+                out: 'Straighten the leg, toes up, chin down',
+                back: 'Bend the knee, point toes, look up'
+            }
+        }
+    };
+
+    const SIDES = ['left', 'right'];
+    const SWITCH_SECONDS = 5; // Between the left and right side
+
+    // Where a session is elapsedMs in: side, rep and which half of the
+    // rep, or switching sides, or done. step counts movements so callers
+    // can spot a change.
+    function getStepAt(elapsedMs, options) {
+        const moveMs = options.pace * 1000;
+        const sideMs = options.reps * 2 * moveMs;
+        let time = Math.max(0, elapsedMs);
+
+        for (let s = 0; s < SIDES.length; s++) {
+            if (time < sideMs) {
+                const move = Math.floor(time / moveMs);
+                return {
+                    side: SIDES[s],
+                    rep: Math.floor(move / 2) + 1,
+                    half: move % 2 === 0 ? 'out' : 'back',
+                    prompt: TECHNIQUES[options.technique].prompts[move % 2 === 0 ? 'out' : 'back'],
+                    step: s * (options.reps * 2 + 1) + move,
+                    done: false
+                };
+            }
+            time -= sideMs;
+
+            if (s < SIDES.length - 1) {
+                if (time < SWITCH_SECONDS * 1000) {
+                    return { side: SIDES[s + 1], rep: 0, half: 'switch', prompt: 'Switch legs', step: s * (options.reps * 2 + 1) + options.reps * 2, done: false };
+                }
+                time -= SWITCH_SECONDS * 1000;
+            }
+        }
+        return { side: SIDES[SIDES.length - 1], rep: options.reps, half: 'done', prompt: 'Done', step: Infinity, done: true };
+    }
+
+    // Options from settings: technique, reps per side and seconds per movement
+    function getOptions(settings) {
+        return {
+            technique: TECHNIQUES[settings.flossTechnique] ? settings.flossTechnique : 'slider',
+            reps: settings.flossReps,
+            pace: settings.flossPace
+        };
+    }
+
+    // Total length in seconds, e.g. for showing before starting
+    function getDuration(options) {
+        return SIDES.length * options.reps * 2 * options.pace + (SIDES.length - 1) * SWITCH_SECONDS;
+    }
+
+    // ===== Guided session =====
+    // Wall-clock driven like the breathing pacer, so a throttled tab stays in step
+    const LOOP_INTERVAL = 200; // ms
+
+    let session = null;
+
+    function start(options, callbacks = {}) {
+        stop();
+
+        session = {
+            options: options,
+            startedAt: Date.now(),
+            step: null,
+            interval: null,
+            onStep: callbacks.onStep || (() => { }),
+            onComplete: callbacks.onComplete || (() => { })
+        };
+
+        session.interval = setInterval(update, LOOP_INTERVAL);
+        update();
+    }
+
+    function update() {
+        if (!session) return;
+
+        const current = getStepAt(Date.now() - session.startedAt, session.options);
+        if (current.step === session.step) return;
+        session.step = current.step;
+
+        if (current.done) {
+            const onComplete = session.onComplete;
+            onComplete(stop());
+        } else {
+            session.onStep(current);
+        }
+    }
+
+    // Stop the session; returns the reps done on each side and how long it ran
+    function stop() {
+        if (!session) return null;
+
+        clearInterval(session.interval);
+        const elapsed = Date.now() - session.startedAt;
+        const { options } = session;
+        const sideMs = options.reps * 2 * options.pace * 1000;
+        const reps = {};
+        SIDES.forEach((side, s) => {
+            const sideElapsed = elapsed - s * (sideMs + SWITCH_SECONDS * 1000);
+            reps[side] = Math.max(0, Math.min(options.reps, Math.floor(sideElapsed / (options.pace * 2000))));
+        });
+
+        session = null;
+        return {
+            technique: options.technique,
+            pace: options.pace,
+            reps: reps,
+            completed: reps.right >= options.reps,
+            seconds: Math.round(elapsed / 1000)
+        };
+    }
+
+    function isRunning() {
+        return session !== null;
+    }
+
+    // Log a session as a habit, with symptom levels (0-10) before and after
+    async function save(result, symptomsBefore = null, symptomsAfter = null) {
+        return Storage.saveHabit({
+            type: 'nerve-floss',
+            technique: result.technique,
+            pace: result.pace,
+            reps: result.reps,
+            completed: result.completed,
+            seconds: result.seconds,
+            symptomsBefore: symptomsBefore,
+            symptomsAfter: symptomsAfter
+        });
+    }
+
+    return {
+        TECHNIQUES,
+        SIDES,
+        SWITCH_SECONDS,
+        getStepAt,
+        getOptions,
+        getDuration,
+        start,
+        stop,
+        isRunning,
+        save
+    };
+})();
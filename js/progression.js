@@ -0,0 +1,320 @@
+/**
+ * McGill Big 3 - Progression Module
+ * Decide when to advance, hold or step back a level from recent
+ * consistency, pain and how much of the plan actually got done
+ */
+
+const Progression = (() => {
+    const CRITERIA = {
+        windowDays: 14, // rolling window for consistency, completion and pain
+        minActiveDays: 10, // days the Big 3 were completed in the window
+        minCompletion: 0.9, // reps completed / planned to advance
+        demoteCompletion: 0.7, // below this, over enough sessions, step back
+        demoteMinSessions: 3,
+        painRise: 1, // average pain up this much: hold
+        demotePainRise: 2, // up this much: step back
+        flareUpChange: 2, // a session that raised pain this much is a flare-up
+        flareUpPain: 7, // so is a pain log at or above this
+        demoteFlareUps: 2
+    };
+
+    function dateKey(daysAgo) {
+        const date = new Date();
+        date.setDate(date.getDate() - daysAgo);
+        return Storage.toDateKey(date);
+    }
+
+    function average(values) {
+        return values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : null;
+    }
+
+    function round(value, places = 1) {
+        const factor = Math.pow(10, places);
+        return Math.round(value * factor) / factor;
+    }
+
+    // Who made a change
+    const SOURCES = {
+        suggestion: 'Accepted suggestion',
+        'level-up': 'Level up',
+        settings: 'Changed in settings',
+        undo: 'Undone'
+    };
+
+    // Settings that make up where the user is in their progression
+    const FIELDS = ['level', 'repPattern', 'holdDuration', 'rollingPlank'];
+
+    const PATTERNS = ['3-2-1', '5-3-1', '8-5-3', '10-8-6'];
+    const MAX_HOLD = 60;
+
+    function getState(settings) {
+        return {
+            level: settings.level || 'standard',
+            repPattern: settings.repPattern || '5-3-1',
+            holdDuration: settings.holdDuration || 10,
+            rollingPlank: !!settings.rollingPlank
+        };
+    }
+
+    // Moving to a level brings its rep pattern and holds with it
+    function getLevelChanges(levelId) {
+        const level = Exercises.getLevel(levelId);
+        return {
+            level: levelId,
+            repPattern: level.pyramid.join('-'),
+            holdDuration: level.holdDuration
+        };
+    }
+
+    function describeState(state) {
+        return `${Exercises.getLevel(state.level).name}: ${state.repPattern} × ${state.holdDuration}s` +
+            (state.rollingPlank ? ' + rolling plank' : '');
+    }
+
+    // What changed between two states, e.g. 'Holds 10s → 12s'
+    function describeChanges(before, after) {
+        const changes = [];
+        if (before.level !== after.level) {
+            changes.push(`${Exercises.getLevel(before.level).name} → ${Exercises.getLevel(after.level).name}`);
+        }
+        if (before.repPattern !== after.repPattern) {
+            changes.push(`Reps ${before.repPattern} → ${after.repPattern}`);
+        }
+        if (before.holdDuration !== after.holdDuration) {
+            changes.push(`Holds ${before.holdDuration}s → ${after.holdDuration}s`);
+        }
+        if (before.rollingPlank !== after.rollingPlank) {
+            changes.push(`Rolling plank ${after.rollingPlank ? 'on' : 'off'}`);
+        }
+        return changes.join(', ');
+    }
+
+    // Ways to progress from where the user is now
+    function getOptions(settings) {
+        const state = getState(settings);
+        const options = [];
+        const nextLevel = Exercises.getNextLevel(state.level);
+        // Challenge's single long hold isn't on the pattern ladder
+        const patternIndex = PATTERNS.indexOf(state.repPattern);
+        const nextPattern = state.level !== 'challenge' && patternIndex >= 0 ? PATTERNS[patternIndex + 1] : null;
+
+        if (nextLevel && nextLevel !== 'challenge') {
+            const level = Exercises.getLevel(nextLevel);
+            options.push({
+                label: `${level.icon} Move up to ${level.name} (${level.description})`,
+                changes: getLevelChanges(nextLevel)
+            });
+        }
+        if (state.holdDuration < MAX_HOLD) {
+            const hold = Math.min(state.holdDuration + 2, MAX_HOLD);
+            options.push({ label: `⏱️ Increase holds to ${hold}s`, changes: { holdDuration: hold } });
+        }
+        if (nextPattern) {
+            options.push({ label: `📈 Try ${nextPattern} rep pattern`, changes: { repPattern: nextPattern } });
+        }
+        if (state.level === 'advanced' || state.repPattern === '10-8-6') {
+            options.push({ label: '🏆 Challenge Mode (1 × 60s)', changes: getLevelChanges('challenge') });
+        }
+        if (!state.rollingPlank) {
+            options.push({ label: '🔄 Try Rolling Plank', changes: { rollingPlank: true } });
+        }
+
+        return options;
+    }
+
+    // Apply a progression change to settings and record who made it and
+    // why. Returns the history record, or null if nothing changed.
+    async function applyChange(settings, changes, { source, reason = '' }) {
+        const before = getState(settings);
+        const after = { ...before, ...changes };
+        if (FIELDS.every(field => before[field] === after[field])) return null;
+
+        Object.assign(settings, await Settings.update(after));
+
+        const record = {
+            type: 'progression-change',
+            before: before,
+            after: after,
+            source: source,
+            reason: reason,
+            title: describeChanges(before, after)
+        };
+        if (before.level !== after.level) {
+            const order = Object.keys(Exercises.LEVELS);
+            record.newLevel = after.level;
+            record.direction = order.indexOf(after.level) > order.indexOf(before.level) ? 'up' : 'down';
+        }
+        record.id = await Storage.saveProgress(record);
+        return record;
+    }
+
+    // Progression changes, newest first
+    async function getHistory() {
+        const progress = await Storage.getProgressByType('progression-change');
+        return progress
+            .sort((a, b) => b.timestamp - a.timestamp || b.id - a.id);
+    }
+
+    // The last change, if it can still be undone
+    async function getUndoable() {
+        const [last] = await getHistory();
+        return last && last.source !== 'undo' && !last.undone ? last : null;
+    }
+
+    // Put settings back the way they were before the last change
+    async function undoLast(settings) {
+        const last = await getUndoable();
+        if (!last) return null;
+
+        await Storage.update(Storage.STORES.PROGRESS, { ...last, undone: true });
+        return applyChange(settings, last.before, { source: 'undo', reason: last.title });
+    }
+
+    // When the user arrived at a level, from the latest level change to it
+    function getLevelStart(progress, levelId) {
+        const change = progress
+            .filter(p => (p.type === 'level-change' || p.type === 'progression-change') && p.newLevel === levelId)
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+        return change ? change.timestamp : 0;
+    }
+
+    // Numbers the decision is based on
+    function getMetrics({ levelId, workouts, painLogs, progress }) {
+        const windowStart = dateKey(CRITERIA.windowDays - 1);
+        const halfway = dateKey(Math.floor(CRITERIA.windowDays / 2) - 1);
+        const levelStart = getLevelStart(progress, levelId);
+
+        const atLevel = workouts.filter(w => (w.level || 'standard') === levelId && w.timestamp >= levelStart);
+        const recent = atLevel.filter(w => w.date >= windowStart);
+        const planned = recent.filter(w => w.completed && w.repsPlanned > 0);
+        const repsPlanned = planned.reduce((sum, w) => sum + w.repsPlanned, 0);
+        const repsCompleted = planned.reduce((sum, w) => sum + (w.repsCompleted || 0), 0);
+
+        // Pain this half of the window against the half before
+        const windowLogs = painLogs.filter(log => log.date >= windowStart);
+        const painNow = average(windowLogs.filter(log => log.date >= halfway).map(log => log.painLevel));
+        const painBefore = average(windowLogs.filter(log => log.date < halfway).map(log => log.painLevel));
+
+        const flareUps = recent.filter(w => (Analytics.getPainChange(w) ?? 0) >= CRITERIA.flareUpChange).length +
+            windowLogs.filter(log => log.painLevel >= CRITERIA.flareUpPain).length;
+
+        return {
+            sessionsAtLevel: Analytics.getCompletedDates(atLevel).length,
+            activeDays: Analytics.getCompletedDates(recent).length,
+            sessions: planned.length,
+            completion: repsPlanned > 0 ? round(repsCompleted / repsPlanned, 2) : null,
+            painAverage: painNow !== null ? round(painNow) : null,
+            painChange: painNow !== null && painBefore !== null ? round(painNow - painBefore) : null,
+            flareUps: flareUps
+        };
+    }
+
+    // Advance, hold or demote from a level, with the reasons why
+    function decide(levelId, metrics) {
+        const level = Exercises.getLevel(levelId);
+        const nextLevel = Exercises.getNextLevel(levelId);
+        const previousLevel = Exercises.getPreviousLevel(levelId);
+        const percent = value => `${Math.round(value * 100)}%`;
+
+        // Stepping back comes first: it is about safety
+        const warnings = [];
+        if (metrics.flareUps >= CRITERIA.demoteFlareUps) {
+            warnings.push(`${metrics.flareUps} flare-ups in the last ${CRITERIA.windowDays} days`);
+        }
+        if (metrics.painChange !== null && metrics.painChange >= CRITERIA.demotePainRise) {
+            warnings.push(`Average pain up ${metrics.painChange} this week`);
+        }
+        if (metrics.completion !== null && metrics.sessions >= CRITERIA.demoteMinSessions &&
+            metrics.completion < CRITERIA.demoteCompletion) {
+            warnings.push(`Only ${percent(metrics.completion)} of planned reps completed`);
+        }
+        if (warnings.length > 0 && previousLevel) {
+            return { decision: 'demote', targetLevel: previousLevel, reasons: warnings };
+        }
+
+        if (!nextLevel || !level.sessionsToAdvance) {
+            return { decision: 'hold', targetLevel: null, reasons: ['No automatic progression from this level'] };
+        }
+
+        const needed = [];
+        const met = [];
+        const activeDaysTarget = Math.min(CRITERIA.minActiveDays, level.sessionsToAdvance);
+
+        if (metrics.sessionsAtLevel >= level.sessionsToAdvance) {
+            met.push(`${metrics.sessionsAtLevel} sessions at ${level.name}`);
+        } else {
+            needed.push(`${level.sessionsToAdvance - metrics.sessionsAtLevel} more sessions at ${level.name}`);
+        }
+        if (metrics.activeDays >= activeDaysTarget) {
+            met.push(`${metrics.activeDays} of the last ${CRITERIA.windowDays} days done`);
+        } else {
+            needed.push(`${activeDaysTarget} of the last ${CRITERIA.windowDays} days done (${metrics.activeDays} so far)`);
+        }
+        if (metrics.completion === null || metrics.completion >= CRITERIA.minCompletion) {
+            if (metrics.completion !== null) met.push(`${percent(metrics.completion)} of planned reps completed`);
+        } else {
+            needed.push(`${percent(CRITERIA.minCompletion)} of planned reps completed (${percent(metrics.completion)} so far)`);
+        }
+        if (metrics.painChange !== null && metrics.painChange >= CRITERIA.painRise) {
+            needed.push('Pain settling back down');
+        } else if (metrics.painChange !== null) {
+            met.push(metrics.painChange < 0 ? 'Pain trending down' : 'Pain steady');
+        }
+        if (metrics.flareUps > 0) {
+            needed.push(`No flare-ups for ${CRITERIA.windowDays} days`);
+        }
+
+        return needed.length === 0
+            ? { decision: 'advance', targetLevel: nextLevel, reasons: met }
+            : { decision: 'hold', targetLevel: null, reasons: needed };
+    }
+
+    // Evaluate the current level from stored history
+    async function evaluate(levelId = 'standard') {
+        const [workouts, painLogs, progress] = await Promise.all([
+            Storage.getWorkoutsForLevel(levelId),
+            Storage.getPainLogsForRange(CRITERIA.windowDays),
+            Storage.getProgressByType('level-change', 'progression-change')
+        ]);
+
+        const metrics = getMetrics({ levelId, workouts, painLogs, progress });
+        return { level: levelId, ...decide(levelId, metrics), metrics };
+    }
+
+    // Log a decision to the progress store, once a day per outcome
+    async function logDecision(result) {
+        const today = dateKey(0);
+        const progress = await Storage.getProgressByType('progression-decision');
+        const logged = progress.some(p =>
+            p.date === today &&
+            p.level === result.level && p.decision === result.decision
+        );
+        if (logged) return null;
+
+        return Storage.saveProgress({
+            type: 'progression-decision',
+            level: result.level,
+            decision: result.decision,
+            targetLevel: result.targetLevel,
+            reasons: result.reasons,
+            metrics: result.metrics
+        });
+    }
+
+    return {
+        CRITERIA,
+        SOURCES,
+        getState,
+        getLevelChanges,
+        describeState,
+        getOptions,
+        applyChange,
+        getHistory,
+        getUndoable,
+        undoLast,
+        getMetrics,
+        decide,
+        evaluate,
+        logDecision
+    };
+})();
@@ -276,20 +276,20 @@ const Recovery = (() => {
             type: 'assessment',
             results: results,
             answers: answers,
-            date: new Date().toISOString().split('T')[0]
+            date: Storage.toDateKey()
         };
 
         await Storage.saveProgress(assessment);
 
         // Update settings with phase
-        const settings = await Storage.getSettings();
-        settings.recoveryPhase = results.phase;
-        settings.intolerances = {
-            flexion: results.flexionIntolerant,
-            extension: results.extensionIntolerant,
-            compression: results.compressionSensitive
-        };
-        await Storage.saveSettings(settings);
+        await Settings.update({
+            recoveryPhase: results.phase,
+            intolerances: {
+                flexion: results.flexionIntolerant,
+                extension: results.extensionIntolerant,
+                compression: results.compressionSensitive
+            }
+        });
     }
 
     // Display results
@@ -0,0 +1,191 @@
+/**
+ * McGill Big 3 - Regression Module
+ * Auto-regression: lighten the day's plan when recent pain logs, nerve
+ * symptoms or known intolerances point to a flare-up
+ */
+
+const Regression = (() => {
+    const LOOKBACK_DAYS = 3;
+
+    // Symptoms and locations that suggest nerve involvement
+    const NERVE_SYMPTOMS = ['numbness', 'tingling', 'weakness'];
+    const NERVE_LOCATIONS = ['left-leg', 'right-leg', 'foot'];
+
+    // Pain levels (0-10) that trigger a regression
+    const THRESHOLDS = {
+        badDay: 7, // current pain at or above: bad day plan
+        light: 4, // current pain at or above: lighter plan
+        rise: 2 // this far above the recent average: lighter plan
+    };
+
+    // Regressed plans, mildest first. The bad day plan is the existing
+    // Bad Day mode; the lighter plan scales the usual program down.
+    const TIERS = {
+        light: {
+            name: 'Lighter Day',
+            icon: '🌤️',
+            repScale: 0.6,
+            holdScale: 0.8
+        },
+        'bad-day': {
+            name: 'Bad Day',
+            icon: '😓'
+        }
+    };
+
+    // An exercise that raises pain this much on average, over enough
+    // sessions, is dropped from a regressed plan
+    const FLARE_UP = { minSessions: 3, averageChange: 1 };
+
+    // Exercises that load the direction a stored intolerance is sensitive
+    // to: eased on a lighter day, dropped on a bad day
+    const INTOLERANCE_EXERCISES = {
+        flexion: { id: 'curl-up', name: 'Curl-Up', movement: 'flexes the spine' },
+        extension: { id: 'bird-dog', name: 'Bird-Dog', movement: 'can arch the lower back' }
+    };
+
+    // Further scaling for an eased exercise, on top of the tier's
+    const EASED = { repScale: 0.5, holdScale: 0.7 };
+
+    function hasNerveSymptoms(log) {
+        return (log.symptoms || []).some(s => NERVE_SYMPTOMS.includes(s)) ||
+            (log.locations || []).some(l => NERVE_LOCATIONS.includes(l));
+    }
+
+    function average(values) {
+        return values.reduce((a, b) => a + b, 0) / values.length;
+    }
+
+    // Decide whether to regress from the last few days' pain logs, the
+    // latest self-assessment results, the stored intolerances
+    // ({ flexion, extension, compression }) and per-exercise pain change
+    // stats. Returns null when the usual plan is fine.
+    function assess({ painLogs = [], assessment = null, intolerances = null, painChange = null, today }) {
+        if (painLogs.length === 0) return null;
+
+        const sorted = [...painLogs].sort((a, b) => b.timestamp - a.timestamp);
+        const todayLogs = sorted.filter(log => log.date === today);
+        const current = todayLogs.length > 0 ? todayLogs : [sorted[0]];
+        const earlier = sorted.filter(log => !current.includes(log));
+
+        const currentPain = Math.max(...current.map(log => log.painLevel));
+        const baseline = earlier.length > 0 ? average(earlier.map(log => log.painLevel)) : null;
+        const nerve = sorted.some(hasNerveSymptoms);
+        const when = todayLogs.length > 0 ? 'today' : 'at your last check';
+
+        const reasons = [];
+        let tier = null;
+
+        if (currentPain >= THRESHOLDS.badDay) {
+            tier = 'bad-day';
+            reasons.push(`Pain ${currentPain}/10 ${when}`);
+        } else if (nerve && currentPain >= THRESHOLDS.light) {
+            tier = 'bad-day';
+            reasons.push(`Pain ${currentPain}/10 ${when} with nerve symptoms`);
+        } else if (currentPain >= THRESHOLDS.light) {
+            tier = 'light';
+            reasons.push(`Pain ${currentPain}/10 ${when}`);
+        } else if (baseline !== null && currentPain - baseline >= THRESHOLDS.rise) {
+            tier = 'light';
+            reasons.push(`Pain up ${Math.round((currentPain - baseline) * 10) / 10} from your recent average`);
+        } else if (nerve) {
+            tier = 'light';
+            reasons.push(`Nerve symptoms logged in the last ${LOOKBACK_DAYS} days`);
+        }
+
+        if (!tier) return null;
+
+        if (nerve && assessment?.nerveInvolvement && tier === 'bad-day') {
+            reasons.push('Your assessment showed nerve involvement');
+        }
+
+        // Drop exercises that have been flaring things up, and the side
+        // plank on a bad day for compression-sensitive backs
+        const drop = new Map();
+        (painChange?.byExercise || [])
+            .filter(group => group.sessions >= FLARE_UP.minSessions && group.averageChange >= FLARE_UP.averageChange)
+            .forEach(group => drop.set(group.id, `${group.name} has raised your pain by ${group.averageChange} on average`));
+        const compressionSensitive = intolerances?.compression ?? assessment?.compressionSensitive;
+        if (tier === 'bad-day' && compressionSensitive && !drop.has('side-plank')) {
+            drop.set('side-plank', 'Side Plank loads the spine; your assessment showed compression sensitivity');
+        }
+
+        // Ease or drop the exercise loading each intolerant direction
+        const ease = new Map();
+        Object.entries(INTOLERANCE_EXERCISES).forEach(([direction, exercise]) => {
+            if (!intolerances?.[direction] || drop.has(exercise.id)) return;
+            const reason = `${exercise.name} ${exercise.movement}; your assessment showed ${direction} intolerance`;
+            (tier === 'bad-day' ? drop : ease).set(exercise.id, reason);
+        });
+
+        // Always leave something to do
+        const groups = Exercises.getExerciseGroups().map(group => group.baseId);
+        if (groups.every(id => drop.has(id))) {
+            drop.delete(groups[0]);
+        }
+        drop.forEach(reason => reasons.push(reason));
+        ease.forEach(reason => reasons.push(reason));
+
+        return {
+            tier: tier,
+            ...TIERS[tier],
+            reasons: reasons,
+            dropExerciseIds: [...drop.keys()],
+            easeExerciseIds: [...ease.keys()],
+            easeScale: EASED,
+            painLevel: currentPain
+        };
+    }
+
+    // Suggestion for today from stored pain logs, assessment, intolerances
+    // and history
+    async function getSuggestion() {
+        const [painLogs, assessments, settings, painChange] = await Promise.all([
+            Storage.getPainLogsForRange(LOOKBACK_DAYS),
+            Storage.getProgressByType('assessment'),
+            Storage.getSettings(),
+            Analytics.getPainChangeStats()
+        ]);
+
+        const latestAssessment = assessments
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+
+        return assess({
+            painLogs: painLogs,
+            assessment: latestAssessment ? latestAssessment.results : null,
+            intolerances: settings.intolerances,
+            painChange: painChange,
+            today: Storage.toDateKey()
+        });
+    }
+
+    // Short description of what a regression changes
+    function describe(regression) {
+        const changes = [];
+        if (regression.tier === 'bad-day') {
+            changes.push(Exercises.getBadDayLevel().description);
+        } else {
+            changes.push(`${Math.round((1 - regression.repScale) * 100)}% fewer reps, shorter holds`);
+        }
+        const getNames = ids => ids.map(id => {
+            const group = Exercises.getExerciseGroups().find(g => g.baseId === id);
+            return group ? Exercises.getExercise(group.ids[0]).name : id;
+        }).join(', ');
+        if (regression.dropExerciseIds.length > 0) {
+            changes.push(`skip ${getNames(regression.dropExerciseIds)}`);
+        }
+        if ((regression.easeExerciseIds || []).length > 0) {
+            changes.push(`ease ${getNames(regression.easeExerciseIds)}`);
+        }
+        return changes.join('; ');
+    }
+
+    return {
+        LOOKBACK_DAYS,
+        THRESHOLDS,
+        TIERS,
+        assess,
+        getSuggestion,
+        describe
+    };
+})();
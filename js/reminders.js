@@ -0,0 +1,393 @@
+/**
+ * McGill Big 3 - Reminders Module
+ * Scheduled nudges for the workout and daily habits. Each reminder type
+ * has its own days, times and quiet hours. Reminders are queued with
+ * Notification Triggers where the browser has them, otherwise shown on
+ * app open or periodic sync.
+ * Shared by the page and the service worker, so no DOM access here.
+ */
+
+const Reminders = (() => {
+    const SYNC_TAG = 'reminders';
+    const TAG_PREFIX = 'reminder-';
+    const SNOOZE_MINUTES = 30;
+    const DAYS_AHEAD = 7; // Triggered reminders scheduled in advance
+    const SYNC_INTERVAL = 12 * 60 * 60 * 1000; // Periodic sync, at most this often
+
+    const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+    const WEEKDAYS = [1, 2, 3, 4, 5];
+    const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const INTERVAL_LIMITS = { min: 15, max: 180 }; // minutes
+
+    // Reminder types. url is where "start" takes the user; interval
+    // reminders repeat between from and until.
+    const TYPES = {
+        workout: {
+            name: 'Workout',
+            icon: '💪',
+            url: '/?action=start-workout',
+            startTitle: 'Start Workout',
+            defaults: { days: ALL_DAYS, times: ['08:00'] }
+        },
+        walking: {
+            name: 'Walking',
+            icon: '🚶',
+            url: '/?page=habits',
+            startTitle: 'Log a Walk',
+            defaults: { days: ALL_DAYS, times: ['12:30', '18:00'] }
+        },
+        sitting: {
+            name: 'Sitting Breaks',
+            icon: '🪑',
+            url: null,
+            defaults: { days: WEEKDAYS, times: [], interval: 45, from: '09:00', until: '17:00' }
+        },
+        'nerve-floss': {
+            name: 'Nerve Flossing',
+            icon: '🦵',
+            url: '/?action=nerve-floss',
+            startTitle: 'Start Flossing',
+            defaults: { days: ALL_DAYS, times: ['10:00', '16:00'] }
+        }
+    };
+
+    const DEFAULTS = { enabled: false, quietStart: '22:00', quietEnd: '07:00' };
+
+    // Walking reminder times while a walking plan is on, by walks a day
+    const PLAN_WALK_TIMES = {
+        1: ['12:30'],
+        2: ['12:30', '18:00'],
+        3: ['10:00', '14:00', '18:00']
+    };
+
+    const NOTIFICATION = {
+        title: 'McGill Big 3',
+        body: 'Time for your McGill Big 3!',
+        icon: '/assets/icons/icon-192.png',
+        badge: '/assets/icons/icon-72.png',
+        vibrate: [100, 50, 100],
+        actions: [
+            { action: 'start', title: 'Start Workout' },
+            { action: 'later', title: 'Later' }
+        ]
+    };
+
+    function isSupported() {
+        return typeof Notification !== 'undefined' && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+    }
+
+    // Notification Triggers let a reminder fire with the app closed
+    function supportsTriggers() {
+        return typeof TimestampTrigger !== 'undefined' && 'showTrigger' in Notification.prototype;
+    }
+
+    function getPermission() {
+        return typeof Notification !== 'undefined' ? Notification.permission : 'denied';
+    }
+
+    // Ask for notification permission; throws if reminders can't be shown
+    async function requestPermission() {
+        if (!isSupported()) {
+            throw new Error('Notifications are not supported in this browser');
+        }
+        const permission = Notification.permission === 'default'
+            ? await Notification.requestPermission()
+            : Notification.permission;
+        if (permission !== 'granted') {
+            throw new Error('Notifications are blocked. Allow them in your browser settings.');
+        }
+        return permission;
+    }
+
+    // ===== Schedules =====
+    // Stored schedules filled out with each type's defaults. Given the
+    // settings, walking reminders follow an active walking plan: one per
+    // planned walk (planTimes) in place of the schedule's own times.
+    async function getSchedules(settings = null) {
+        const stored = await Storage.getReminders();
+        const plan = settings ? Walking.getPlan(settings) : null;
+        return Object.keys(TYPES).map(id => {
+            const schedule = {
+                id: id,
+                ...DEFAULTS,
+                ...TYPES[id].defaults,
+                ...stored.find(reminder => reminder.id === id)
+            };
+            if (id === 'walking' && plan) {
+                schedule.planTimes = PLAN_WALK_TIMES[plan.sessions] || schedule.times;
+            }
+            return schedule;
+        });
+    }
+
+    const TIME_PATTERN = /^([01]?\d|2[0-3]):[0-5]\d$/;
+
+    function toMinutes(time) {
+        const [hours, minutes] = time.split(':').map(Number);
+        return hours * 60 + minutes;
+    }
+
+    function toTime(minutes) {
+        return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+    }
+
+    // Check a schedule before saving; throws with a message for the user.
+    // Returns it with times tidied up.
+    function validate(schedule) {
+        const type = TYPES[schedule.id];
+        if (!type) {
+            throw new Error(`Unknown reminder "${schedule.id}"`);
+        }
+        if (!Array.isArray(schedule.days) || schedule.days.length === 0 ||
+            schedule.days.some(day => !ALL_DAYS.includes(day))) {
+            throw new Error(`${type.name}: choose the days to be reminded`);
+        }
+
+        const times = schedule.interval ? [schedule.from, schedule.until] : schedule.times;
+        const bad = times.find(time => !TIME_PATTERN.test(time || ''));
+        if (bad !== undefined) {
+            throw new Error(`${type.name}: "${bad || ''}" is not a time (use HH:MM)`);
+        }
+        if (!schedule.interval && times.length === 0) {
+            throw new Error(`${type.name}: add at least one time`);
+        }
+        if (schedule.interval) {
+            if (!(schedule.interval >= INTERVAL_LIMITS.min && schedule.interval <= INTERVAL_LIMITS.max)) {
+                throw new Error(`${type.name}: remind every ${INTERVAL_LIMITS.min}-${INTERVAL_LIMITS.max} minutes`);
+            }
+            if (toMinutes(schedule.from) >= toMinutes(schedule.until)) {
+                throw new Error(`${type.name}: the end time must be after the start time`);
+            }
+        }
+        if (![schedule.quietStart, schedule.quietEnd].every(time => TIME_PATTERN.test(time || ''))) {
+            throw new Error(`${type.name}: quiet hours need a start and end time`);
+        }
+
+        return {
+            ...schedule,
+            times: [...new Set(schedule.times.map(time => toTime(toMinutes(time))))].sort()
+        };
+    }
+
+    async function saveSchedule(schedule) {
+        const valid = validate(schedule);
+        // Plan times come from the settings, so only the schedule's own are kept
+        const { planTimes, ...own } = valid;
+        await Storage.saveReminder(own);
+        return valid;
+    }
+
+    // Quiet hours may run past midnight, e.g. 22:00-07:00
+    function isQuiet(minutes, schedule) {
+        const start = toMinutes(schedule.quietStart);
+        const end = toMinutes(schedule.quietEnd);
+        if (start === end) return false;
+        return start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+    }
+
+    // Reminder times (Dates) for a schedule on a given day
+    function getSlots(schedule, date) {
+        if (!schedule.enabled || !schedule.days.includes(date.getDay())) return [];
+
+        let minutes = (schedule.planTimes || schedule.times).map(toMinutes);
+        if (schedule.interval) {
+            minutes = [];
+            for (let m = toMinutes(schedule.from) + schedule.interval; m <= toMinutes(schedule.until); m += schedule.interval) {
+                minutes.push(m);
+            }
+        }
+
+        return minutes
+            .filter(m => !isQuiet(m, schedule))
+            .map(m => {
+                const at = new Date(date);
+                at.setHours(Math.floor(m / 60), m % 60, 0, 0);
+                return at;
+            });
+    }
+
+    function dateKey(date) {
+        return Storage.toDateKey(date);
+    }
+
+    // Whether today's reminders of a type are still needed, and what to
+    // say in them. Without today's progress, says what a fresh day needs.
+    async function getStatus(type, settings, today = true) {
+        if (type === 'workout') {
+            const workouts = today ? await Storage.getWorkoutsForDate(dateKey(new Date())) : [];
+            return { done: workouts.some(w => w.completed), body: 'Time for your McGill Big 3!' };
+        }
+        if (type === 'walking') {
+            const status = Walking.summarize(settings, today ? await Storage.getHabitsForToday() : []);
+            return { done: status.done, body: Walking.describeNext(status) };
+        }
+        if (type === 'sitting') {
+            // No need to nudge while the sitting timer is running
+            const timer = today ? await Storage.getSittingTimer() : null;
+            return { done: !!timer?.running, body: 'Time to stand up and move for a minute or two' };
+        }
+        return { done: false, body: 'Time for a gentle round of nerve flossing' };
+    }
+
+    // ===== Notifications =====
+    // The page waits for its service worker; the worker is its own registration
+    async function getRegistration() {
+        return self.registration || navigator.serviceWorker.ready;
+    }
+
+    async function show(registration, type, body, at, showTrigger = null) {
+        const { name, icon, url, startTitle } = TYPES[type];
+        const options = {
+            ...NOTIFICATION,
+            body: body,
+            tag: `${TAG_PREFIX}${type}-${at}`,
+            data: { url: url || '/', type: type },
+            actions: [
+                ...(url ? [{ action: 'start', title: startTitle }] : []),
+                { action: 'later', title: 'Later' }
+            ]
+        };
+        if (showTrigger) options.showTrigger = showTrigger;
+        return registration.showNotification(`${icon} ${name}`, options);
+    }
+
+    // Close shown and cancel scheduled reminders
+    async function cancel(registration) {
+        const pending = await registration.getNotifications(supportsTriggers() ? { includeTriggered: true } : {});
+        pending.filter(n => n.tag && n.tag.startsWith(TAG_PREFIX)).forEach(n => n.close());
+    }
+
+    // (Re)schedule every reminder. With triggers the next week's reminders
+    // are queued now; either way periodic sync is asked to check in, for
+    // browsers that allow it.
+    async function schedule(settings) {
+        if (!isSupported()) return;
+        const registration = await getRegistration();
+        await cancel(registration);
+
+        const schedules = (await getSchedules(settings)).filter(s => s.enabled);
+        if (schedules.length === 0 || getPermission() !== 'granted') {
+            await registration.periodicSync?.unregister(SYNC_TAG);
+            return;
+        }
+
+        if (supportsTriggers()) {
+            const now = Date.now();
+            for (const reminder of schedules) {
+                const today = await getStatus(reminder.id, settings);
+                const later = await getStatus(reminder.id, settings, false);
+                for (let day = today.done ? 1 : 0; day < DAYS_AHEAD; day++) {
+                    const date = new Date();
+                    date.setDate(date.getDate() + day);
+                    const body = day === 0 ? today.body : later.body;
+                    for (const at of getSlots(reminder, date).filter(at => at.getTime() > now)) {
+                        await show(registration, reminder.id, body, at.getTime(), new TimestampTrigger(at.getTime()));
+                    }
+                }
+            }
+        }
+
+        try {
+            await registration.periodicSync?.register(SYNC_TAG, { minInterval: SYNC_INTERVAL });
+        } catch (error) {
+            // Periodic sync needs an installed app; reminders then wait for app open
+        }
+    }
+
+    // Fallback reminders that are due: a reminder time (or snooze) has
+    // passed since the type was last shown, and today's goal isn't done.
+    // Returns [{ type, body }].
+    async function getDue(settings, now = Date.now()) {
+        // Triggers already cover scheduled reminders and snoozes
+        if (getPermission() !== 'granted' || supportsTriggers()) return [];
+
+        const state = await Storage.getReminderState();
+        const due = [];
+        for (const reminder of await getSchedules(settings)) {
+            const date = new Date(now);
+            if (!reminder.enabled || isQuiet(date.getHours() * 60 + date.getMinutes(), reminder)) continue;
+
+            const lastShown = state.lastShown[reminder.id] || 0;
+            const snoozedUntil = state.snoozedUntil[reminder.id];
+            const passed = getSlots(reminder, date).filter(at => at.getTime() <= now);
+            const slotDue = passed.length > 0 && passed[passed.length - 1].getTime() > lastShown;
+            const snoozeDue = !!snoozedUntil && now >= snoozedUntil;
+            if (!slotDue && !snoozeDue) continue;
+
+            const status = await getStatus(reminder.id, settings);
+            if (!status.done) due.push({ type: reminder.id, body: status.body });
+        }
+        return due;
+    }
+
+    async function markShown(types, now = Date.now()) {
+        const state = await Storage.getReminderState();
+        types.forEach(type => {
+            state.lastShown[type] = now;
+            delete state.snoozedUntil[type];
+        });
+        await Storage.saveReminderState(state);
+    }
+
+    // Fallback for the service worker's periodic sync
+    async function showDue(settings) {
+        const due = await getDue(settings);
+        if (due.length === 0) return due;
+
+        const registration = await getRegistration();
+        const now = Date.now();
+        for (const { type, body } of due) {
+            await show(registration, type, body, now);
+        }
+        await markShown(due.map(reminder => reminder.type), now);
+        return due;
+    }
+
+    // "Later": remind again in a while
+    async function snooze(type, settings) {
+        const until = Date.now() + SNOOZE_MINUTES * 60 * 1000;
+        const state = await Storage.getReminderState();
+        state.snoozedUntil[type] = until;
+        await Storage.saveReminderState(state);
+
+        if (supportsTriggers()) {
+            const { body } = await getStatus(type, settings);
+            await show(await getRegistration(), type, body, until, new TimestampTrigger(until));
+        }
+        return until;
+    }
+
+    // How reminders will reach the user, for settings
+    function describe(schedules) {
+        if (!schedules.some(s => s.enabled)) return 'No reminders on';
+        if (!isSupported()) return 'Notifications are not supported in this browser';
+        if (getPermission() !== 'granted') return 'Notifications are blocked in your browser settings';
+        if (supportsTriggers()) return 'Reminders arrive on schedule, even with the app closed';
+        return 'Reminders show when the app opens or checks in';
+    }
+
+    return {
+        TYPES,
+        DAY_NAMES,
+        INTERVAL_LIMITS,
+        SNOOZE_MINUTES,
+        NOTIFICATION,
+        SYNC_TAG,
+        isSupported,
+        supportsTriggers,
+        getPermission,
+        requestPermission,
+        getSchedules,
+        validate,
+        saveSchedule,
+        getSlots,
+        schedule,
+        getDue,
+        markShown,
+        showDue,
+        snooze,
+        describe
+    };
+})();
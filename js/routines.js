@@ -0,0 +1,191 @@
+/**
+ * McGill Big 3 - Routines Module
+ * User-built routines: ordered exercises with their own reps, holds, rest and side
+ */
+
+const Routines = (() => {
+    // Limits for per-item values in the editor
+    const LIMITS = {
+        sets: { min: 1, max: 10 },
+        reps: { min: 1, max: 20 },
+        holdDuration: { min: 3, max: 120 },
+        restDuration: { min: 0, max: 120 }
+    };
+
+    const SIDES = {
+        both: 'Both Sides',
+        left: 'Left Only',
+        right: 'Right Only'
+    };
+
+    // Exercises a routine can use: the Big 3 (one entry per bilateral pair)
+    // followed by the variations
+    function getCatalog() {
+        const catalog = Exercises.getExerciseGroups().map(group => {
+            const exercise = Exercises.getExercise(group.ids[0]);
+            return {
+                id: group.baseId,
+                name: exercise.name,
+                icon: exercise.icon,
+                bilateral: exercise.bilateral
+            };
+        });
+
+        Exercises.VARIATIONS.forEach(exercise => {
+            catalog.push({
+                id: exercise.id,
+                name: exercise.name,
+                icon: exercise.icon,
+                bilateral: false
+            });
+        });
+
+        return catalog;
+    }
+
+    function getCatalogEntry(exerciseId) {
+        return getCatalog().find(entry => entry.id === exerciseId) || null;
+    }
+
+    // New routine item with defaults taken from the user's settings
+    function createItem(exerciseId, settings = {}) {
+        return {
+            exerciseId: exerciseId,
+            side: 'both',
+            sets: 1,
+            reps: 5,
+            holdDuration: settings.holdDuration || 10,
+            restDuration: settings.restDuration || 10
+        };
+    }
+
+    // Check a routine before saving; throws with a message for the user
+    function validateRoutine(routine) {
+        if (!routine.name || !routine.name.trim()) {
+            throw new Error('Give your routine a name');
+        }
+        if (!Array.isArray(routine.items) || routine.items.length === 0) {
+            throw new Error('Add at least one exercise');
+        }
+
+        routine.items.forEach((item, i) => {
+            const entry = getCatalogEntry(item.exerciseId);
+            if (!entry) {
+                throw new Error(`Exercise ${i + 1} is not available`);
+            }
+            if (entry.bilateral && !SIDES[item.side]) {
+                throw new Error(`Pick a side for ${entry.name}`);
+            }
+            Object.entries(LIMITS).forEach(([field, { min, max }]) => {
+                const value = item[field];
+                if (!Number.isInteger(value) || value < min || value > max) {
+                    throw new Error(`${entry.name}: ${field.replace('Duration', '')} must be ${min}-${max}`);
+                }
+            });
+        });
+    }
+
+    // ===== Storage =====
+    async function getRoutines() {
+        const routines = await Storage.getRoutines();
+        return routines.sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async function saveRoutine(routine) {
+        const cleaned = {
+            ...routine,
+            name: routine.name.trim(),
+            items: routine.items.map(item => ({ ...item }))
+        };
+        validateRoutine(cleaned);
+        return Storage.saveRoutine(cleaned);
+    }
+
+    async function deleteRoutine(id) {
+        return Storage.deleteRoutine(id);
+    }
+
+    // ===== Plan generation =====
+    // Concrete exercises for an item, in the order they are done within a set
+    function getItemExercises(item) {
+        const entry = getCatalogEntry(item.exerciseId);
+        if (!entry.bilateral) return [Exercises.getExercise(item.exerciseId)];
+
+        const sides = item.side === 'both' ? ['left', 'right'] : [item.side];
+        return sides.map(side => Exercises.getExercise(`${item.exerciseId}-${side}`));
+    }
+
+    // Build a plan Timer.startWorkout can run, shaped like Exercises.generateWorkoutPlan
+    function generateRoutinePlan(routine, settings = {}) {
+        const plan = [];
+
+        routine.items.forEach(item => {
+            const exercises = getItemExercises(item);
+            const set = {
+                reps: item.reps,
+                repHolds: new Array(item.reps).fill(item.holdDuration)
+            };
+
+            for (let setIndex = 0; setIndex < item.sets; setIndex++) {
+                exercises.forEach(exercise => {
+                    plan.push(Exercises.createPlanItems(exercise, set, setIndex, item.sets, item.restDuration));
+                });
+            }
+        });
+
+        // Each item's own rest separates sets and exercises; switching sides uses the setting
+        Exercises.assignRests(plan, {
+            sideSwitchRest: settings.sideSwitchRest ?? Exercises.DEFAULT_RESTS.sideSwitchRest
+        });
+
+        return {
+            level: {
+                name: routine.name,
+                icon: '📋',
+                description: describeRoutine(routine)
+            },
+            routine: { id: routine.id, name: routine.name },
+            program: {
+                holdDuration: settings.holdDuration || 10
+            },
+            exercises: plan,
+            totalExercises: routine.items.length,
+            estimatedDuration: Exercises.calculateDuration(plan)
+        };
+    }
+
+    // Big 3 exercise ids a routine plan covers, for today's progress and streaks
+    function getCoveredExerciseIds(plan) {
+        const big3 = new Set(Exercises.getAllExercises().map(ex => ex.id));
+        const ids = new Set();
+
+        plan.exercises.forEach(item => {
+            (item.segments || [item.exercise]).forEach(exercise => {
+                if (big3.has(exercise.id)) ids.add(exercise.id);
+            });
+        });
+
+        return [...ids];
+    }
+
+    // Short summary of the exercises used, e.g. 'Side Plank, Bird-Dog'
+    function describeRoutine(routine) {
+        const names = routine.items.map(item => getCatalogEntry(item.exerciseId)?.name || item.exerciseId);
+        return [...new Set(names)].join(', ');
+    }
+
+    return {
+        LIMITS,
+        SIDES,
+        getCatalog,
+        getCatalogEntry,
+        createItem,
+        validateRoutine,
+        getRoutines,
+        saveRoutine,
+        deleteRoutine,
+        generateRoutinePlan,
+        getCoveredExerciseIds,
+        describeRoutine
+    };
+})();
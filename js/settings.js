@@ -0,0 +1,154 @@
+/**
+ * McGill Big 3 - Settings Module
+ * Settings schema (types, ranges and defaults), validation and
+ * partial updates merged into the stored settings
+ */
+
+const Settings = (() => {
+    // Bump when defaults change, with an upgrade below
+    const VERSION = 1;
+
+    // One entry per setting. Numbers take min/max (and integer); strings
+    // may list their allowed values; nullable fields also accept null.
+    const SCHEMA = {
+        level: {
+            type: 'string', default: 'standard', label: 'Level',
+            values: ['beginner', 'developing', 'standard', 'advanced', 'challenge']
+        },
+        holdDuration: { type: 'number', default: 10, min: 5, max: 60, integer: true, unit: 's', label: 'Hold duration' },
+        restDuration: { type: 'number', default: 10, min: 5, max: 30, integer: true, unit: 's', label: 'Rest between reps' },
+        betweenSetsRest: { type: 'number', default: 20, min: 5, max: 90, integer: true, unit: 's', label: 'Rest between sets' },
+        sideSwitchRest: { type: 'number', default: 5, min: 0, max: 30, integer: true, unit: 's', label: 'Switch sides rest' },
+        repPattern: {
+            type: 'string', default: '5-3-1', label: 'Rep pattern',
+            values: ['3-2-1', '5-3-1', '8-5-3', '10-8-6', '1']
+        },
+        rollingPlank: { type: 'boolean', default: false, label: 'Rolling plank' },
+        warmupEnabled: { type: 'boolean', default: false, label: 'Warm-up' },
+        warmupCycles: { type: 'number', default: 8, min: 3, max: 20, integer: true, label: 'Warm-up cycles' },
+        cooldownEnabled: { type: 'boolean', default: false, label: 'Cool-down' },
+        cooldownMinutes: { type: 'number', default: 5, min: 1, max: 30, integer: true, unit: ' min', label: 'Cool-down' },
+        painCheckEnabled: { type: 'boolean', default: true, label: 'Pain check' },
+        autoRegression: { type: 'string', default: 'suggest', values: ['suggest', 'auto', 'off'], label: 'Auto-regression' },
+        regressionDecision: { type: 'object', default: null, nullable: true, label: 'Regression decision' },
+        recoveryPhase: {
+            type: 'string', default: null, nullable: true, label: 'Recovery phase',
+            values: ['acute', 'subacute', 'chronic', 'recovered']
+        },
+        intolerances: { type: 'object', default: null, nullable: true, label: 'Intolerances' },
+        breathingPacer: { type: 'boolean', default: false, label: 'Breathing pacer' },
+        breathInhale: { type: 'number', default: 4, min: 2, max: 10, integer: true, unit: 's', label: 'Inhale' },
+        breathExhale: { type: 'number', default: 6, min: 2, max: 10, integer: true, unit: 's', label: 'Exhale' },
+        walkingGoal: { type: 'number', default: 30, min: 10, max: 120, integer: true, unit: ' min', label: 'Walking goal' },
+        walkingPlan: { type: 'boolean', default: false, label: 'Walking plan' },
+        walkingPlanStart: { type: 'string', default: null, nullable: true, label: 'Walking plan start' },
+        sittingMinutes: { type: 'number', default: 20, min: 5, max: 60, integer: true, unit: ' min', label: 'Sitting time' },
+        standingMinutes: { type: 'number', default: 8, min: 1, max: 30, integer: true, unit: ' min', label: 'Standing time' },
+        movingMinutes: { type: 'number', default: 2, min: 1, max: 15, integer: true, unit: ' min', label: 'Moving time' },
+        sittingBreakGoal: { type: 'number', default: 8, min: 1, max: 24, integer: true, label: 'Sitting break goal' },
+        flossTechnique: { type: 'string', default: 'slider', values: ['slider', 'tensioner'], label: 'Flossing technique' },
+        flossReps: { type: 'number', default: 10, min: 5, max: 30, integer: true, label: 'Reps per side' },
+        flossPace: { type: 'number', default: 2, min: 1, max: 5, integer: true, unit: 's', label: 'Seconds per movement' },
+        darkMode: { type: 'boolean', default: true, label: 'Dark mode' },
+        soundEnabled: { type: 'boolean', default: true, label: 'Sounds' },
+        soundTheme: { type: 'string', default: 'default', values: ['default', 'minimal', 'loud'], label: 'Sound theme' },
+        soundVolumes: { type: 'object', default: {}, label: 'Sound volumes' },
+        voiceEnabled: { type: 'boolean', default: false, label: 'Voice coaching' },
+        voiceVerbosity: { type: 'string', default: 'standard', values: ['minimal', 'standard', 'coach'], label: 'Voice detail' },
+        voiceURI: { type: 'string', default: '', label: 'Voice' },
+        voiceRate: { type: 'number', default: 1.0, min: 0.5, max: 1.5, unit: '×', label: 'Speaking rate' },
+        vibrationEnabled: { type: 'boolean', default: true, label: 'Vibration' }
+    };
+
+    // Upgrades for settings saved under older defaults, keyed by the
+    // version they bring settings up to
+    const UPGRADES = {
+        // Settings were saved unchecked before there was a schema: put
+        // anything mistyped or out of range back to its default
+        1: (settings) => {
+            const upgraded = { ...settings };
+            Object.keys(SCHEMA).forEach(key => {
+                if (key in upgraded && check(key, upgraded[key])) delete upgraded[key];
+            });
+            return upgraded;
+        }
+    };
+
+    function getDefaults() {
+        const defaults = {};
+        Object.entries(SCHEMA).forEach(([key, field]) => {
+            defaults[key] = field.type === 'object' && field.default ? { ...field.default } : field.default;
+        });
+        return defaults;
+    }
+
+    // What is wrong with a value for a setting, or null if it is fine
+    function check(key, value) {
+        const field = SCHEMA[key];
+        if (!field) return `Unknown setting "${key}"`;
+        if (value === null && field.nullable) return null;
+
+        if (field.type === 'number') {
+            if (typeof value !== 'number' || !Number.isFinite(value)) return `${field.label} must be a number`;
+            if (field.integer && !Number.isInteger(value)) return `${field.label} must be a whole number`;
+            if (value < field.min || value > field.max) {
+                const unit = field.unit || '';
+                return `${field.label} must be between ${field.min}${unit} and ${field.max}${unit}`;
+            }
+            return null;
+        }
+        if (field.type === 'object') {
+            return value && typeof value === 'object' && !Array.isArray(value) ? null : `${field.label} is not valid`;
+        }
+        if (typeof value !== field.type) return `${field.label} is not valid`;
+        if (field.values && !field.values.includes(value)) return `${field.label} "${value}" is not an option`;
+        return null;
+    }
+
+    // Check a partial change. Throws on the first invalid field.
+    function validate(changes) {
+        Object.entries(changes).forEach(([key, value]) => {
+            const error = check(key, value);
+            if (error) throw new Error(error);
+        });
+        return { ...changes };
+    }
+
+    // Stored settings brought up to the current version, with defaults
+    // for anything missing
+    function normalize(stored = {}) {
+        let settings = { ...stored };
+        for (let version = (stored.version || 0) + 1; version <= VERSION; version++) {
+            settings = UPGRADES[version](settings);
+        }
+        return { ...getDefaults(), ...settings, version: VERSION };
+    }
+
+    // Called with the merged settings after every update, so copies held
+    // elsewhere (like the app's) see changes saved by other modules
+    const listeners = [];
+
+    function onChange(callback) {
+        listeners.push(callback);
+    }
+
+    // Validate a partial change and merge it into the stored settings, so
+    // fields saved elsewhere are kept. Returns the merged settings.
+    async function update(changes) {
+        const settings = { ...(await Storage.getSettings()), ...validate(changes) };
+        await Storage.saveSettings(settings);
+        listeners.forEach(callback => callback(settings));
+        return settings;
+    }
+
+    return {
+        VERSION,
+        SCHEMA,
+        getDefaults,
+        check,
+        validate,
+        normalize,
+        onChange,
+        update
+    };
+})();
@@ -0,0 +1,214 @@
+/**
+ * McGill Big 3 - Sitting Module
+ * Sitting break timer: sit, stand, move, repeat. Timing runs off the
+ * clock from a saved start time, so the timer keeps going across reloads
+ * and while the app is in the background. Each completed cycle is logged
+ * as a habit.
+ */
+
+const Sitting = (() => {
+    // Phases in order, with their length setting (minutes)
+    const PHASES = {
+        sitting: {
+            name: 'Sitting',
+            icon: '🪑',
+            setting: 'sittingMinutes',
+            prompt: 'Back to sitting. Remember your posture!',
+            body: (minutes) => `Sit for ${minutes} minutes. Remember your posture!`
+        },
+        standing: {
+            name: 'Standing',
+            icon: '🧍',
+            setting: 'standingMinutes',
+            prompt: 'Time to stand!',
+            body: (minutes) => `Stand for ${minutes} minutes`
+        },
+        moving: {
+            name: 'Moving',
+            icon: '🚶',
+            setting: 'movingMinutes',
+            prompt: 'Time to move and stretch!',
+            body: (minutes) => `Move and stretch for ${minutes} minutes`
+        }
+    };
+    const ORDER = Object.keys(PHASES);
+
+    const MAX_HOURS = 10; // A timer left running stops after this long
+    const TAG_PREFIX = 'sitting-timer-';
+    const OPEN_URL = '/?page=habits';
+
+    // A stopped timer. startedAt is when it started, moved forward by any
+    // time spent paused; elapsed is the running time when paused.
+    const IDLE = { running: false, startedAt: null, elapsed: 0, lengths: null, phase: 'sitting', cycles: 0 };
+
+    function getLengths(settings) {
+        const lengths = {};
+        ORDER.forEach(phase => {
+            lengths[phase] = settings[PHASES[phase].setting];
+        });
+        return lengths;
+    }
+
+    // e.g. '20-8-2'
+    function describe(settings) {
+        return ORDER.map(phase => settings[PHASES[phase].setting]).join('-');
+    }
+
+    function getCycleMs(lengths) {
+        return ORDER.reduce((sum, phase) => sum + lengths[phase] * 60000, 0);
+    }
+
+    function dateKey(time) {
+        return Storage.toDateKey(new Date(time));
+    }
+
+    async function getState() {
+        return { ...IDLE, ...(await Storage.getSittingTimer()) };
+    }
+
+    // Where the timer is at a moment: phase, seconds left in it, cycles
+    // completed and whether it has run out its time
+    function getPosition(state, settings, now = Date.now()) {
+        const lengths = state.lengths || getLengths(settings);
+        const maxMs = MAX_HOURS * 60 * 60 * 1000;
+        const elapsed = Math.min(state.running ? now - state.startedAt : state.elapsed, maxMs);
+        const cycles = Math.floor(elapsed / getCycleMs(lengths));
+        let within = elapsed - cycles * getCycleMs(lengths);
+
+        for (const phase of ORDER) {
+            const phaseMs = lengths[phase] * 60000;
+            if (within < phaseMs) {
+                return {
+                    phase: phase,
+                    remaining: Math.ceil((phaseMs - within) / 1000),
+                    cycles: cycles,
+                    expired: state.running && elapsed >= maxMs
+                };
+            }
+            within -= phaseMs;
+        }
+    }
+
+    // Catch up with the clock: log cycles completed since the last check
+    // and stop a timer left running too long. Returns the position, plus
+    // whether it is running or started (paused counts), whether the phase
+    // changed and how many cycles were logged.
+    async function update(settings, now = Date.now()) {
+        const state = await getState();
+        const position = getPosition(state, settings, now);
+        const changed = state.running && position.phase !== state.phase;
+        const logged = position.cycles - state.cycles;
+
+        const cycleMs = state.lengths ? getCycleMs(state.lengths) : 0;
+        for (let cycle = state.cycles; cycle < position.cycles; cycle++) {
+            await Storage.saveHabit({
+                type: 'sitting-break',
+                date: dateKey(state.startedAt + (cycle + 1) * cycleMs),
+                minutes: state.lengths.standing + state.lengths.moving,
+                cycleMinutes: cycleMs / 60000
+            });
+        }
+
+        if (position.expired) {
+            await reset();
+            return { ...getPosition(IDLE, settings), running: false, started: false, changed: false, logged, stopped: true };
+        }
+        if (changed || logged > 0) {
+            await Storage.saveSittingTimer({ ...state, phase: position.phase, cycles: position.cycles });
+        }
+        return { ...position, running: state.running, started: state.startedAt !== null, changed, logged, stopped: false };
+    }
+
+    // Start or resume
+    async function start(settings) {
+        const state = await getState();
+        const now = Date.now();
+        const started = state.startedAt === null
+            ? { ...IDLE, running: true, startedAt: now, lengths: getLengths(settings) }
+            : { ...state, running: true, startedAt: now - state.elapsed };
+
+        await Storage.saveSittingTimer(started);
+        await scheduleNotifications(started);
+        return started;
+    }
+
+    async function pause(settings) {
+        await update(settings);
+        const state = await getState();
+        if (!state.running) return state;
+
+        const paused = { ...state, running: false, elapsed: Date.now() - state.startedAt };
+        await Storage.saveSittingTimer(paused);
+        await cancelNotifications();
+        return paused;
+    }
+
+    async function reset() {
+        await Storage.clearSittingTimer();
+        await cancelNotifications();
+    }
+
+    // ===== Notifications =====
+    function canNotify() {
+        return Reminders.isSupported() && Reminders.getPermission() === 'granted';
+    }
+
+    async function show(registration, phase, lengths, at, showTrigger = null) {
+        const options = {
+            ...Reminders.NOTIFICATION,
+            body: PHASES[phase].body(lengths[phase]),
+            tag: `${TAG_PREFIX}${at}`,
+            data: { url: OPEN_URL },
+            actions: []
+        };
+        if (showTrigger) options.showTrigger = showTrigger;
+        return registration.showNotification(`${PHASES[phase].icon} ${PHASES[phase].name}`, options);
+    }
+
+    // Phase change notice, for when the app is in the background
+    async function notify(phase, settings) {
+        if (!canNotify()) return;
+        const state = await getState();
+        const registration = await navigator.serviceWorker.ready;
+        await show(registration, phase, state.lengths || getLengths(settings), Date.now());
+    }
+
+    // With Notification Triggers, queue every phase change up to when the
+    // timer stops itself, so they show even with the app closed
+    async function scheduleNotifications(state) {
+        if (!canNotify() || !Reminders.supportsTriggers()) return;
+        const registration = await navigator.serviceWorker.ready;
+        await cancelNotifications();
+
+        const now = Date.now();
+        const end = state.startedAt + MAX_HOURS * 60 * 60 * 1000;
+        let at = state.startedAt;
+        for (let i = 0; at < end; i++) {
+            const phase = ORDER[i % ORDER.length];
+            const next = ORDER[(i + 1) % ORDER.length];
+            at += state.lengths[phase] * 60000;
+            if (at > now && at < end) {
+                await show(registration, next, state.lengths, at, new TimestampTrigger(at));
+            }
+        }
+    }
+
+    async function cancelNotifications() {
+        if (!Reminders.isSupported()) return;
+        const registration = await navigator.serviceWorker.ready;
+        const pending = await registration.getNotifications(Reminders.supportsTriggers() ? { includeTriggered: true } : {});
+        pending.filter(n => n.tag && n.tag.startsWith(TAG_PREFIX)).forEach(n => n.close());
+    }
+
+    return {
+        PHASES,
+        MAX_HOURS,
+        describe,
+        getState,
+        update,
+        start,
+        pause,
+        reset,
+        notify
+    };
+})();
@@ -0,0 +1,100 @@
+/**
+ * McGill Big 3 - Sleep Module
+ * Morning check-in: how you slept (position, pillow, hours) and how your
+ * back feels on waking (stiffness and first-hour pain)
+ */
+
+const Sleep = (() => {
+    const POSITIONS = {
+        side: { name: 'Side' },
+        back: { name: 'Back' },
+        stomach: { name: 'Stomach' },
+        mixed: { name: 'Mixed' }
+    };
+
+    const PILLOWS = {
+        between: { name: 'Between knees' },
+        under: { name: 'Under knees' },
+        none: { name: 'No pillow' }
+    };
+
+    // Pillow placement the sleep tips recommend for each position
+    const RECOMMENDED = { side: 'between', back: 'under' };
+
+    const MAX_HOURS = 16;
+    const MAX_STIFFNESS = 240; // minutes
+
+    // Pain or stiffness at or above these suggests flexion sensitivity,
+    // as discs are fullest of fluid first thing
+    const MORNING_PAIN_FLAG = 4;
+    const STIFFNESS_FLAG = 30;
+
+    function isRecommended(entry) {
+        return RECOMMENDED[entry.position] === entry.pillow;
+    }
+
+    // e.g. 'Side · Between knees'. Check-ins restored from a backup may
+    // name a position or pillow this version doesn't know.
+    function describeSetup(entry) {
+        const position = POSITIONS[entry.position]?.name || 'Other position';
+        const pillow = PILLOWS[entry.pillow]?.name || 'Other pillow';
+        return `${position} · ${pillow}`;
+    }
+
+    // Check a check-in before saving. Throws on the first invalid field.
+    function validate(entry) {
+        if (!POSITIONS[entry.position]) throw new Error('Choose the position you slept in');
+        if (!PILLOWS[entry.pillow]) throw new Error('Choose your pillow setup');
+        if (typeof entry.hours !== 'number' || !(entry.hours > 0 && entry.hours <= MAX_HOURS)) {
+            throw new Error(`Hours slept must be between 0 and ${MAX_HOURS}`);
+        }
+        if (!Number.isInteger(entry.stiffnessMinutes) || entry.stiffnessMinutes < 0 || entry.stiffnessMinutes > MAX_STIFFNESS) {
+            throw new Error(`Morning stiffness must be between 0 and ${MAX_STIFFNESS} minutes`);
+        }
+        if (!Number.isInteger(entry.morningPain) || entry.morningPain < 0 || entry.morningPain > 10) {
+            throw new Error('Choose your pain in the first hour (0-10)');
+        }
+    }
+
+    async function save(entry) {
+        validate(entry);
+        return Storage.saveSleepLog({
+            position: entry.position,
+            pillow: entry.pillow,
+            hours: Math.round(entry.hours * 2) / 2,
+            stiffnessMinutes: entry.stiffnessMinutes,
+            morningPain: entry.morningPain
+        });
+    }
+
+    async function getToday() {
+        return Storage.getSleepLogForDate(Storage.toDateKey());
+    }
+
+    // A tip for the day from a check-in, or null when the morning went well
+    function getAdvice(entry) {
+        if (entry.morningPain >= MORNING_PAIN_FLAG || entry.stiffnessMinutes >= STIFFNESS_FLAG) {
+            return 'Discs are fullest first thing. Avoid bending forward for the first hour, and save your workout for later in the day.';
+        }
+        if (entry.position === 'stomach') {
+            return 'Stomach sleeping arches the lower back. Try your side with a pillow between your knees.';
+        }
+        if (!isRecommended(entry) && RECOMMENDED[entry.position]) {
+            return `${POSITIONS[entry.position].name} sleepers: try a pillow ${PILLOWS[RECOMMENDED[entry.position]].name.toLowerCase()}.`;
+        }
+        return null;
+    }
+
+    return {
+        POSITIONS,
+        PILLOWS,
+        MAX_HOURS,
+        MAX_STIFFNESS,
+        isRecommended,
+        describeSetup,
+        validate,
+        save,
+        getToday,
+        getAdvice
+    };
+})();
@@ -0,0 +1,278 @@
+/**
+ * McGill Big 3 - Sounds Module
+ * Audio cue themes, per-event volume and user-supplied sounds
+ */
+
+const Sounds = (() => {
+    // Events with a user-facing label, in the order shown in settings
+    const EVENTS = {
+        startHold: 'Hold starts',
+        endHold: 'Hold ends',
+        startRest: 'Rest starts',
+        endRest: 'Rest ends',
+        countdown3: 'Countdown 3',
+        countdown2: 'Countdown 2',
+        countdown1: 'Countdown 1',
+        repComplete: 'Rep complete',
+        exerciseComplete: 'Exercise complete',
+        workoutComplete: 'Workout complete',
+        startWarmup: 'Warm-up starts',
+        startCooldown: 'Cool-down starts',
+        cycleUp: 'Cycle up',
+        cycleDown: 'Cycle down',
+        breatheIn: 'Breathe in',
+        breatheOut: 'Breathe out'
+    };
+
+    // A single oscillator note; delay is ms after the event fires
+    function tone(frequency, duration, volume, delay = 0, type = 'sine') {
+        return { frequency, duration, volume, delay, type };
+    }
+
+    // Several notes at once
+    function chord(frequencies, duration, volume, delay = 0, type = 'sine') {
+        return frequencies.map(frequency => tone(frequency, duration, volume, delay, type));
+    }
+
+    // ====== THEMES ======
+    // default: the original patterns - bright holds, soft rests, building countdown
+    // minimal: short, quiet clicks for shared spaces
+    // loud: harsher waveforms and higher volume to cut through music
+    const THEMES = {
+        default: {
+            name: 'Default',
+            tones: {
+                startHold: [tone(523, 100, 0.3), tone(659, 100, 0.3, 80), tone(784, 200, 0.35, 160)], // C5 E5 G5
+                endHold: [tone(784, 150, 0.25), tone(659, 150, 0.2, 120), tone(523, 200, 0.15, 240)],
+                startRest: [tone(392, 200, 0.2), tone(330, 250, 0.15, 180)], // G4 E4
+                endRest: [tone(440, 150, 0.2)],
+                countdown3: [tone(440, 80, 0.25, 0, 'triangle')],
+                countdown2: [tone(523, 80, 0.3, 0, 'triangle')],
+                countdown1: [tone(659, 100, 0.35, 0, 'triangle')],
+                countdown0: [tone(784, 120, 0.4)],
+                repComplete: [tone(880, 80, 0.2), tone(1047, 100, 0.25, 60)], // A5 C6
+                exerciseComplete: [tone(523, 100, 0.25), tone(659, 100, 0.25, 100), tone(784, 100, 0.3, 200), tone(1047, 200, 0.35, 300)],
+                workoutComplete: [
+                    ...chord([523, 659, 784], 200, 0.15),
+                    ...chord([587, 740, 880], 200, 0.15, 250),
+                    ...chord([659, 784, 988], 200, 0.18, 500),
+                    ...chord([523, 659, 784, 1047], 400, 0.2, 750)
+                ],
+                startWarmup: [tone(392, 180, 0.2), tone(523, 220, 0.2, 160)],
+                startCooldown: [tone(523, 200, 0.18), tone(440, 200, 0.15, 200), tone(349, 300, 0.12, 400)],
+                cycleUp: [tone(587, 120, 0.15)],
+                cycleDown: [tone(440, 120, 0.12)],
+                breatheIn: [tone(349, 500, 0.08)], // F4, soft so it sits under the hold
+                breatheOut: [tone(262, 700, 0.06)], // C4
+                tick: [tone(800, 40, 0.15, 0, 'square')]
+            }
+        },
+
+        minimal: {
+            name: 'Minimal',
+            tones: {
+                startHold: [tone(1200, 30, 0.12, 0, 'triangle')],
+                endHold: [tone(900, 30, 0.1, 0, 'triangle')],
+                startRest: [tone(600, 40, 0.08, 0, 'triangle')],
+                endRest: [tone(800, 30, 0.08, 0, 'triangle')],
+                countdown3: [tone(1000, 20, 0.06, 0, 'triangle')],
+                countdown2: [tone(1000, 20, 0.06, 0, 'triangle')],
+                countdown1: [tone(1000, 20, 0.08, 0, 'triangle')],
+                countdown0: [tone(1200, 25, 0.08, 0, 'triangle')],
+                repComplete: [tone(1400, 25, 0.08, 0, 'triangle')],
+                exerciseComplete: [tone(1200, 25, 0.1, 0, 'triangle'), tone(1500, 25, 0.1, 60, 'triangle')],
+                workoutComplete: [tone(1200, 30, 0.1, 0, 'triangle'), tone(1500, 30, 0.1, 80, 'triangle'), tone(1800, 30, 0.1, 160, 'triangle')],
+                startWarmup: [tone(700, 40, 0.08, 0, 'triangle')],
+                startCooldown: [tone(500, 50, 0.08, 0, 'triangle')],
+                cycleUp: [tone(900, 20, 0.05, 0, 'triangle')],
+                cycleDown: [tone(700, 20, 0.05, 0, 'triangle')],
+                breatheIn: [tone(600, 30, 0.04, 0, 'triangle')],
+                breatheOut: [tone(450, 30, 0.04, 0, 'triangle')],
+                tick: [tone(800, 15, 0.05, 0, 'triangle')]
+            }
+        },
+
+        loud: {
+            name: 'Loud & Distinct',
+            tones: {
+                startHold: [tone(880, 150, 0.5, 0, 'square'), tone(1175, 250, 0.6, 150, 'square')],
+                endHold: [tone(1175, 150, 0.5, 0, 'square'), tone(880, 250, 0.5, 150, 'square')],
+                startRest: [tone(330, 300, 0.45, 0, 'sawtooth'), tone(262, 350, 0.4, 250, 'sawtooth')],
+                endRest: [tone(660, 200, 0.45, 0, 'square')],
+                countdown3: [tone(740, 120, 0.45, 0, 'square')],
+                countdown2: [tone(880, 120, 0.5, 0, 'square')],
+                countdown1: [tone(1047, 150, 0.55, 0, 'square')],
+                countdown0: [tone(1319, 200, 0.6, 0, 'square')],
+                repComplete: [tone(1319, 100, 0.45, 0, 'square'), tone(1568, 150, 0.5, 100, 'square')],
+                exerciseComplete: [tone(523, 120, 0.5, 0, 'square'), tone(659, 120, 0.5, 120, 'square'), tone(784, 120, 0.5, 240, 'square'), tone(1047, 250, 0.55, 360, 'square')],
+                workoutComplete: [
+                    ...chord([523, 659, 784], 250, 0.3, 0, 'square'),
+                    ...chord([587, 740, 880], 250, 0.3, 300, 'square'),
+                    ...chord([523, 659, 784, 1047], 500, 0.35, 600, 'square')
+                ],
+                startWarmup: [tone(523, 200, 0.45, 0, 'square'), tone(659, 250, 0.45, 200, 'square')],
+                startCooldown: [tone(659, 250, 0.4, 0, 'sawtooth'), tone(523, 250, 0.4, 250, 'sawtooth'), tone(392, 350, 0.35, 500, 'sawtooth')],
+                cycleUp: [tone(880, 100, 0.35, 0, 'square')],
+                cycleDown: [tone(660, 100, 0.3, 0, 'square')],
+                breatheIn: [tone(523, 400, 0.25, 0, 'triangle')],
+                breatheOut: [tone(392, 600, 0.2, 0, 'triangle')],
+                tick: [tone(1000, 60, 0.4, 0, 'square')]
+            }
+        }
+    };
+
+    const MAX_CUSTOM_SIZE = 1024 * 1024; // 1 MB per sound
+
+    // Current theme and per-event volumes (0-1), from settings
+    let config = {
+        theme: 'default',
+        volumes: {}
+    };
+
+    // User-supplied sounds by event: { name, data (ArrayBuffer), buffer (decoded, lazily) }
+    const custom = {};
+
+    // Audio context for sounds
+    let audioContext = null;
+
+    // Initialize audio (call from a user gesture so playback is allowed)
+    function initAudio() {
+        if (!audioContext) {
+            audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        }
+        return audioContext;
+    }
+
+    // Resume audio if the browser suspended it
+    function resumeAudio() {
+        if (audioContext && audioContext.state === 'suspended') {
+            audioContext.resume();
+        }
+    }
+
+    // Apply theme and volume settings
+    function configure(settings) {
+        config = {
+            theme: THEMES[settings.soundTheme] ? settings.soundTheme : 'default',
+            volumes: settings.soundVolumes || {}
+        };
+    }
+
+    function getVolume(event) {
+        const volume = config.volumes[event];
+        return typeof volume === 'number' ? Math.min(1, Math.max(0, volume)) : 1;
+    }
+
+    // Play one oscillator note
+    function playTone(note, scale) {
+        const volume = note.volume * scale;
+        if (volume <= 0) return;
+
+        try {
+            const ctx = initAudio();
+            const oscillator = ctx.createOscillator();
+            const gainNode = ctx.createGain();
+            const start = ctx.currentTime + note.delay / 1000;
+            const end = start + note.duration / 1000;
+
+            oscillator.connect(gainNode);
+            gainNode.connect(ctx.destination);
+
+            oscillator.frequency.value = note.frequency;
+            oscillator.type = note.type;
+
+            gainNode.gain.setValueAtTime(volume, start);
+            gainNode.gain.exponentialRampToValueAtTime(Math.min(0.01, volume), end);
+
+            oscillator.start(start);
+            oscillator.stop(end);
+        } catch (e) {
+            console.log('Audio not available:', e);
+        }
+    }
+
+    // Play a user-supplied sound, decoding it on first use
+    async function playCustom(event, scale) {
+        const sound = custom[event];
+        try {
+            const ctx = initAudio();
+            if (!sound.buffer) {
+                // decodeAudioData detaches its input, so keep the stored copy intact
+                sound.buffer = await ctx.decodeAudioData(sound.data.slice(0));
+            }
+
+            const source = ctx.createBufferSource();
+            const gainNode = ctx.createGain();
+            source.buffer = sound.buffer;
+            gainNode.gain.value = scale;
+            source.connect(gainNode);
+            gainNode.connect(ctx.destination);
+            source.start();
+        } catch (e) {
+            console.log(`Custom sound for ${event} could not be played:`, e);
+        }
+    }
+
+    // Play the cue for an event. options.theme previews a theme's built-in
+    // sound even when a custom one is set.
+    function play(event, options = {}) {
+        const scale = getVolume(event);
+
+        if (custom[event] && !options.theme) {
+            playCustom(event, scale);
+            return;
+        }
+
+        const theme = THEMES[options.theme] || THEMES[config.theme];
+        (theme.tones[event] || []).forEach(note => playTone(note, scale));
+    }
+
+    // ===== Custom sounds =====
+    async function loadCustomSounds() {
+        const records = await Storage.getCustomSounds();
+        records.forEach(record => {
+            custom[record.id] = { name: record.name, data: record.data, buffer: null };
+        });
+    }
+
+    // Store an audio file to play for an event
+    async function setCustomSound(event, file) {
+        if (!EVENTS[event]) {
+            throw new Error('Unknown sound event');
+        }
+        if (!file.type.startsWith('audio/')) {
+            throw new Error('Choose an audio file');
+        }
+        if (file.size > MAX_CUSTOM_SIZE) {
+            throw new Error('Sound files must be under 1 MB');
+        }
+
+        const data = await file.arrayBuffer();
+        await Storage.saveCustomSound({ id: event, name: file.name, type: file.type, data });
+        custom[event] = { name: file.name, data, buffer: null };
+    }
+
+    async function removeCustomSound(event) {
+        await Storage.deleteCustomSound(event);
+        delete custom[event];
+    }
+
+    // File name of the custom sound for an event, or null
+    function getCustomSoundName(event) {
+        return custom[event] ? custom[event].name : null;
+    }
+
+    return {
+        EVENTS,
+        THEMES,
+        initAudio,
+        resumeAudio,
+        configure,
+        getVolume,
+        play,
+        loadCustomSounds,
+        setCustomSound,
+        removeCustomSound,
+        getCustomSoundName
+    };
+})();
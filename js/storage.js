@@ -5,7 +5,7 @@
 
 const Storage = (() => {
     const DB_NAME = 'mcgill-big3';
-    const DB_VERSION = 1;
+    const DB_VERSION = 7;
     let db = null;
 
     // Store names
@@ -14,62 +14,216 @@ const Storage = (() => {
         PAIN_LOGS: 'painLogs',
         HABITS: 'habits',
         SETTINGS: 'settings',
-        PROGRESS: 'progress'
+        PROGRESS: 'progress',
+        SESSIONS: 'sessions', // In-progress state (one record per id), not backed up
+        ROUTINES: 'routines',
+        SOUNDS: 'sounds', // User-supplied audio cues (one record per event), not backed up
+        REMINDERS: 'reminders', // Reminder schedules (one record per type), not backed up
+        SLEEP_LOGS: 'sleepLogs' // Morning check-ins (one record per date)
     };
 
-    // Initialize IndexedDB
-    async function init() {
+    // Schema migrations, keyed by the version they upgrade to.
+    // Each runs inside the versionchange transaction, in order, so a v1
+    // database opened by a v3 app gets migration 2 and then 3.
+    const MIGRATIONS = {
+        1: (database) => {
+            // Workouts store
+            if (!database.objectStoreNames.contains(STORES.WORKOUTS)) {
+                const workoutStore = database.createObjectStore(STORES.WORKOUTS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                workoutStore.createIndex('date', 'date', { unique: false });
+            }
+
+            // Pain logs store
+            if (!database.objectStoreNames.contains(STORES.PAIN_LOGS)) {
+                const painStore = database.createObjectStore(STORES.PAIN_LOGS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                painStore.createIndex('date', 'date', { unique: false });
+            }
+
+            // Habits store
+            if (!database.objectStoreNames.contains(STORES.HABITS)) {
+                const habitsStore = database.createObjectStore(STORES.HABITS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                habitsStore.createIndex('date', 'date', { unique: false });
+            }
+
+            // Settings store (single record)
+            if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
+                database.createObjectStore(STORES.SETTINGS, { keyPath: 'id' });
+            }
+
+            // Progress store
+            if (!database.objectStoreNames.contains(STORES.PROGRESS)) {
+                const progressStore = database.createObjectStore(STORES.PROGRESS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                progressStore.createIndex('date', 'date', { unique: false });
+            }
+        },
+
+        2: (database, transaction) => {
+            // Query habits and progress by type, workouts by level
+            ensureIndex(transaction.objectStore(STORES.HABITS), 'type');
+            ensureIndex(transaction.objectStore(STORES.PROGRESS), 'type');
+            ensureIndex(transaction.objectStore(STORES.WORKOUTS), 'level');
+
+            transformRecords(transaction, STORES.PAIN_LOGS, fillPainLogLists);
+        },
+
+        3: (database) => {
+            // Checkpoints for interrupted workouts
+            if (!database.objectStoreNames.contains(STORES.SESSIONS)) {
+                database.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+            }
+        },
+
+        4: (database) => {
+            // User-built routines
+            if (!database.objectStoreNames.contains(STORES.ROUTINES)) {
+                database.createObjectStore(STORES.ROUTINES, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+            }
+        },
+
+        5: (database) => {
+            // Custom sound files, keyed by sound event
+            if (!database.objectStoreNames.contains(STORES.SOUNDS)) {
+                database.createObjectStore(STORES.SOUNDS, { keyPath: 'id' });
+            }
+        },
+
+        6: (database, transaction) => {
+            // Reminder schedules, keyed by reminder type
+            if (!database.objectStoreNames.contains(STORES.REMINDERS)) {
+                database.createObjectStore(STORES.REMINDERS, { keyPath: 'id' });
+            }
+
+            // Move the single workout reminder out of settings. Its shown and
+            // snoozed state was for one reminder, so start that afresh.
+            transaction.objectStore(STORES.SESSIONS).delete('reminder-state');
+            const request = transaction.objectStore(STORES.SETTINGS).get('user-settings');
+            request.onsuccess = () => {
+                const moved = splitWorkoutReminder(request.result);
+                if (!moved) return;
+                transaction.objectStore(STORES.REMINDERS).put(moved.reminder);
+                transaction.objectStore(STORES.SETTINGS).put(moved.settings);
+            };
+        },
+
+        7: (database) => {
+            // Morning sleep and stiffness check-ins
+            if (!database.objectStoreNames.contains(STORES.SLEEP_LOGS)) {
+                const sleepStore = database.createObjectStore(STORES.SLEEP_LOGS, {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                sleepStore.createIndex('date', 'date', { unique: false });
+            }
+        }
+    };
+
+    // ===== Record changes made by migrations =====
+    // Shared with importData, so backups from an older schema get them too
+
+    // Older or hand-edited pain logs may lack symptom/location lists.
+    // Returns the repaired log, or null when it is fine.
+    function fillPainLogLists(log) {
+        if (Array.isArray(log.symptoms) && Array.isArray(log.locations)) return null;
+        return {
+            ...log,
+            symptoms: Array.isArray(log.symptoms) ? log.symptoms : [],
+            locations: Array.isArray(log.locations) ? log.locations : []
+        };
+    }
+
+    // Settings held a single workout reminder before v6. Returns it as a
+    // reminder schedule with the settings left without it, or null when
+    // there is none.
+    function splitWorkoutReminder(settings) {
+        if (!settings || !('reminderEnabled' in settings)) return null;
+        const { reminderEnabled, reminderTime, ...rest } = settings;
+        return {
+            reminder: { id: 'workout', enabled: !!reminderEnabled, times: [reminderTime || '08:00'] },
+            settings: rest
+        };
+    }
+
+    // The same changes for a backup's data, keyed by the version that
+    // made them. Each returns the updated data.
+    const BACKUP_MIGRATIONS = {
+        2: (data) => ({
+            ...data,
+            painLogs: (data.painLogs || []).map(log => fillPainLogLists(log) || log)
+        }),
+
+        6: (data) => {
+            const moved = splitWorkoutReminder(data.settings);
+            return moved ? { ...data, settings: moved.settings, reminders: [moved.reminder] } : data;
+        }
+    };
+
+    // Bring a backup up to DB_VERSION. Backups without a schemaVersion
+    // predate it, so they get every change. reminders is only ever what the
+    // migrations moved out of settings (schedules aren't backed up).
+    function migrateBackup(data) {
+        let migrated = { ...data, reminders: [] };
+        for (let version = (data.schemaVersion || 1) + 1; version <= DB_VERSION; version++) {
+            if (BACKUP_MIGRATIONS[version]) migrated = BACKUP_MIGRATIONS[version](migrated);
+        }
+        return migrated;
+    }
+
+    // Create a non-unique index if the store doesn't have it yet
+    function ensureIndex(store, name, keyPath = name) {
+        if (!store.indexNames.contains(name)) {
+            store.createIndex(name, keyPath, { unique: false });
+        }
+    }
+
+    // Rewrite every record in a store during an upgrade.
+    // transform returns the new record, or null to leave it untouched.
+    function transformRecords(transaction, storeName, transform) {
+        const request = transaction.objectStore(storeName).openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+            const updated = transform(cursor.value);
+            if (updated) cursor.update(updated);
+            cursor.continue();
+        };
+    }
+
+    // Initialize IndexedDB. Tests pass their own database name.
+    async function init(name = DB_NAME) {
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            const request = indexedDB.open(name, DB_VERSION);
 
             request.onerror = () => reject(request.error);
             request.onsuccess = () => {
                 db = request.result;
+                // Let a newer version of the app in another tab upgrade the schema
+                db.onversionchange = () => db.close();
                 resolve(db);
             };
 
             request.onupgradeneeded = (event) => {
                 const database = event.target.result;
+                const transaction = event.target.transaction;
 
-                // Workouts store
-                if (!database.objectStoreNames.contains(STORES.WORKOUTS)) {
-                    const workoutStore = database.createObjectStore(STORES.WORKOUTS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    workoutStore.createIndex('date', 'date', { unique: false });
-                }
-
-                // Pain logs store
-                if (!database.objectStoreNames.contains(STORES.PAIN_LOGS)) {
-                    const painStore = database.createObjectStore(STORES.PAIN_LOGS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    painStore.createIndex('date', 'date', { unique: false });
-                }
-
-                // Habits store
-                if (!database.objectStoreNames.contains(STORES.HABITS)) {
-                    const habitsStore = database.createObjectStore(STORES.HABITS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    habitsStore.createIndex('date', 'date', { unique: false });
-                }
-
-                // Settings store (single record)
-                if (!database.objectStoreNames.contains(STORES.SETTINGS)) {
-                    database.createObjectStore(STORES.SETTINGS, { keyPath: 'id' });
-                }
-
-                // Progress store
-                if (!database.objectStoreNames.contains(STORES.PROGRESS)) {
-                    const progressStore = database.createObjectStore(STORES.PROGRESS, {
-                        keyPath: 'id',
-                        autoIncrement: true
-                    });
-                    progressStore.createIndex('date', 'date', { unique: false });
+                for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+                    if (MIGRATIONS[version]) {
+                        MIGRATIONS[version](database, transaction);
+                    }
                 }
             };
         });
@@ -124,6 +278,17 @@ const Storage = (() => {
         });
     }
 
+    // Get all records matching an index value
+    async function getByIndex(storeName, indexName, value) {
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, 'readonly');
+            const store = transaction.objectStore(storeName);
+            const request = store.index(indexName).getAll(value);
+            request.onsuccess = () => resolve(request.result || []);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
     // Generic update
     async function update(storeName, data) {
         return new Promise((resolve, reject) => {
@@ -157,10 +322,33 @@ const Storage = (() => {
         });
     }
 
+    // ===== Date keys =====
+    // Records are dated by the local calendar day (YYYY-MM-DD), so a
+    // session in the evening counts for that day wherever the user is
+    function toDateKey(date = new Date()) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    // Local midnight at the start of a date key's day. new Date(key) would
+    // read it as UTC midnight instead.
+    function fromDateKey(key) {
+        const [year, month, day] = key.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
     // ===== Workout-specific methods =====
     async function saveWorkout(workout) {
-        const date = new Date().toISOString().split('T')[0];
-        return add(STORES.WORKOUTS, { ...workout, date });
+        const date = toDateKey();
+        return add(STORES.WORKOUTS, { date, ...workout });
+    }
+
+    // Merge changes into a saved workout (e.g. a pain check after the fact)
+    async function updateWorkout(id, changes) {
+        const workout = await get(STORES.WORKOUTS, id);
+        if (!workout) throw new Error('Workout not found');
+        return update(STORES.WORKOUTS, { ...workout, ...changes });
     }
 
     async function getWorkoutsForWeek() {
@@ -175,20 +363,29 @@ const Storage = (() => {
 
         return getByDateRange(
             STORES.WORKOUTS,
-            startOfWeek.toISOString().split('T')[0],
-            endOfWeek.toISOString().split('T')[0]
+            toDateKey(startOfWeek),
+            toDateKey(endOfWeek)
         );
     }
 
+    async function getWorkoutsForDate(date) {
+        return getByDateRange(STORES.WORKOUTS, date, date);
+    }
+
+    // Sessions done at a level, via the level index
+    async function getWorkoutsForLevel(level) {
+        return getByIndex(STORES.WORKOUTS, 'level', level);
+    }
+
     async function getWorkoutsForMonth(year, month) {
         const startDate = `${year}-${String(month + 1).padStart(2, '0')}-01`;
-        const endDate = new Date(year, month + 1, 0).toISOString().split('T')[0];
+        const endDate = toDateKey(new Date(year, month + 1, 0));
         return getByDateRange(STORES.WORKOUTS, startDate, endDate);
     }
 
     // ===== Pain log methods =====
     async function savePainLog(entry) {
-        const date = new Date().toISOString().split('T')[0];
+        const date = toDateKey();
         return add(STORES.PAIN_LOGS, { ...entry, date });
     }
 
@@ -204,48 +401,176 @@ const Storage = (() => {
 
         return getByDateRange(
             STORES.PAIN_LOGS,
-            startDate.toISOString().split('T')[0],
-            today.toISOString().split('T')[0]
+            toDateKey(startDate),
+            toDateKey(today)
         );
     }
 
     // ===== Habits methods =====
+    // Dated today unless the habit says otherwise
     async function saveHabit(habit) {
-        const date = new Date().toISOString().split('T')[0];
-        return add(STORES.HABITS, { ...habit, date });
+        const date = toDateKey();
+        return add(STORES.HABITS, { date, ...habit });
     }
 
     async function getHabitsForToday() {
-        const today = new Date().toISOString().split('T')[0];
+        const today = toDateKey();
         return getByDateRange(STORES.HABITS, today, today);
     }
 
+    async function getHabitsForRange(days = 7) {
+        const today = new Date();
+        const startDate = new Date(today);
+        startDate.setDate(today.getDate() - days);
+
+        return getByDateRange(
+            STORES.HABITS,
+            toDateKey(startDate),
+            toDateKey(today)
+        );
+    }
+
+    // ===== Sleep log methods =====
+    // One check-in per morning: saving again the same day replaces it
+    async function saveSleepLog(entry) {
+        const date = toDateKey();
+        const [existing] = await getByDateRange(STORES.SLEEP_LOGS, date, date);
+        if (existing) {
+            return update(STORES.SLEEP_LOGS, { ...existing, ...entry, date });
+        }
+        return add(STORES.SLEEP_LOGS, { ...entry, date });
+    }
+
+    async function getSleepLogForDate(date) {
+        const [log] = await getByDateRange(STORES.SLEEP_LOGS, date, date);
+        return log || null;
+    }
+
+    async function getSleepLogsForRange(days = 30) {
+        const today = new Date();
+        const startDate = new Date(today);
+        startDate.setDate(today.getDate() - days);
+
+        return getByDateRange(
+            STORES.SLEEP_LOGS,
+            toDateKey(startDate),
+            toDateKey(today)
+        );
+    }
+
     // ===== Settings methods =====
+    // Stored settings upgraded and filled in with defaults (see Settings)
     async function getSettings() {
         const settings = await get(STORES.SETTINGS, 'user-settings');
-        return settings || {
-            id: 'user-settings',
-            holdDuration: 10,
-            restDuration: 10,
-            repPattern: '5-3-1',
-            rollingPlank: false,
-            walkingGoal: 30,
-            reminderEnabled: false,
-            reminderTime: '08:00',
-            darkMode: true,
-            soundEnabled: true,
-            voiceEnabled: false,
-            vibrationEnabled: true
-        };
+        return Settings.normalize({ ...settings, id: 'user-settings' });
     }
 
     async function saveSettings(settings) {
         return update(STORES.SETTINGS, { ...settings, id: 'user-settings' });
     }
 
+    // ===== Active session methods =====
+    const ACTIVE_WORKOUT_ID = 'active-workout';
+
+    async function saveActiveSession(session) {
+        return update(STORES.SESSIONS, { ...session, id: ACTIVE_WORKOUT_ID });
+    }
+
+    async function getActiveSession() {
+        return get(STORES.SESSIONS, ACTIVE_WORKOUT_ID);
+    }
+
+    async function clearActiveSession() {
+        return remove(STORES.SESSIONS, ACTIVE_WORKOUT_ID);
+    }
+
+    // ===== Reminder methods =====
+    async function getReminders() {
+        return getAll(STORES.REMINDERS);
+    }
+
+    async function saveReminder(reminder) {
+        return update(STORES.REMINDERS, reminder);
+    }
+
+    // When each reminder type last showed and any snoozes, kept per device
+    const REMINDER_STATE_ID = 'reminder-state';
+
+    async function getReminderState() {
+        const state = await get(STORES.SESSIONS, REMINDER_STATE_ID);
+        return { lastShown: {}, snoozedUntil: {}, ...state };
+    }
+
+    async function saveReminderState(state) {
+        return update(STORES.SESSIONS, { ...state, id: REMINDER_STATE_ID });
+    }
+
+    // ===== Sitting timer methods =====
+    const SITTING_TIMER_ID = 'sitting-timer';
+
+    async function getSittingTimer() {
+        return get(STORES.SESSIONS, SITTING_TIMER_ID);
+    }
+
+    async function saveSittingTimer(timer) {
+        return update(STORES.SESSIONS, { ...timer, id: SITTING_TIMER_ID });
+    }
+
+    async function clearSittingTimer() {
+        return remove(STORES.SESSIONS, SITTING_TIMER_ID);
+    }
+
+    // ===== Walking timer methods =====
+    const WALKING_TIMER_ID = 'walking-timer';
+
+    async function getWalkingTimer() {
+        return get(STORES.SESSIONS, WALKING_TIMER_ID);
+    }
+
+    async function saveWalkingTimer(timer) {
+        return update(STORES.SESSIONS, { ...timer, id: WALKING_TIMER_ID });
+    }
+
+    async function clearWalkingTimer() {
+        return remove(STORES.SESSIONS, WALKING_TIMER_ID);
+    }
+
+    // ===== Routine methods =====
+    async function saveRoutine(routine) {
+        if (routine.id) {
+            return update(STORES.ROUTINES, { ...routine, updatedAt: Date.now() });
+        }
+        return add(STORES.ROUTINES, routine);
+    }
+
+    async function getRoutines() {
+        return getAll(STORES.ROUTINES);
+    }
+
+    async function getRoutine(id) {
+        return get(STORES.ROUTINES, id);
+    }
+
+    async function deleteRoutine(id) {
+        return remove(STORES.ROUTINES, id);
+    }
+
+    // ===== Custom sound methods =====
+    async function saveCustomSound(sound) {
+        return update(STORES.SOUNDS, sound);
+    }
+
+    async function getCustomSounds() {
+        return getAll(STORES.SOUNDS);
+    }
+
+    async function deleteCustomSound(id) {
+        return remove(STORES.SOUNDS, id);
+    }
+
     // ===== Progress methods =====
     async function saveProgress(progress) {
-        const date = new Date().toISOString().split('T')[0];
+        const date = toDateKey();
         return add(STORES.PROGRESS, { ...progress, date });
     }
 
@@ -253,6 +578,12 @@ const Storage = (() => {
         return getAll(STORES.PROGRESS);
     }
 
+    // Progress records of the given types, via the type index
+    async function getProgressByType(...types) {
+        const groups = await Promise.all(types.map(type => getByIndex(STORES.PROGRESS, 'type', type)));
+        return groups.flat();
+    }
+
     // ===== Export data =====
     async function exportAllData() {
         const data = {
@@ -261,11 +592,164 @@ const Storage = (() => {
             habits: await getAll(STORES.HABITS),
             settings: await getSettings(),
             progress: await getAll(STORES.PROGRESS),
+            routines: await getAll(STORES.ROUTINES),
+            sleepLogs: await getAll(STORES.SLEEP_LOGS),
+            schemaVersion: DB_VERSION,
             exportDate: new Date().toISOString()
         };
         return JSON.stringify(data, null, 2);
     }
 
+    // ===== Import data =====
+    // Stores that hold lists of timestamped records (settings is a single record)
+    const RECORD_STORES = [STORES.WORKOUTS, STORES.PAIN_LOGS, STORES.HABITS, STORES.PROGRESS, STORES.ROUTINES, STORES.SLEEP_LOGS];
+
+    // Parse and validate a backup produced by exportAllData
+    function validateBackup(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (e) {
+            throw new Error('Backup file is not valid JSON');
+        }
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Backup file has an unexpected format');
+        }
+
+        if (data.schemaVersion > DB_VERSION) {
+            throw new Error('Backup was made by a newer version of the app');
+        }
+
+        const knownStores = Object.values(STORES).filter(name => name in data);
+        if (knownStores.length === 0) {
+            throw new Error('Backup file does not contain any McGill Big 3 data');
+        }
+
+        const counts = {};
+        RECORD_STORES.forEach(storeName => {
+            const records = data[storeName];
+            if (records === undefined) {
+                counts[storeName] = 0;
+                return;
+            }
+            if (!Array.isArray(records)) {
+                throw new Error(`"${storeName}" in backup should be a list`);
+            }
+            records.forEach((record, i) => {
+                if (!record || typeof record !== 'object' || typeof record.timestamp !== 'number') {
+                    throw new Error(`"${storeName}" entry ${i + 1} is missing a timestamp`);
+                }
+            });
+            counts[storeName] = records.length;
+        });
+
+        if (data.settings !== undefined &&
+            (!data.settings || typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+            throw new Error('"settings" in backup should be an object');
+        }
+        counts[STORES.SETTINGS] = data.settings ? 1 : 0;
+
+        return {
+            data,
+            counts,
+            exportDate: data.exportDate || null
+        };
+    }
+
+    // A backup's settings that are valid for this version, leaving out
+    // anything unknown or out of range
+    function getValidSettings(settings) {
+        const valid = {};
+        Object.entries(settings).forEach(([key, value]) => {
+            if (key in Settings.SCHEMA && !Settings.check(key, value)) valid[key] = value;
+        });
+        return valid;
+    }
+
+    // The newest of each date's records, for stores that keep one per date
+    function keepLatestPerDate(records) {
+        const byDate = new Map();
+        records.forEach(record => {
+            const kept = byDate.get(record.date);
+            if (!kept || record.timestamp > kept.timestamp) byDate.set(record.date, record);
+        });
+        return [...byDate.values()];
+    }
+
+    // Restore a backup. mode 'replace' wipes existing data first,
+    // mode 'merge' keeps existing records, skipping any with a known timestamp,
+    // and applies the backup's settings over the local ones.
+    async function importData(json, mode = 'merge') {
+        const data = migrateBackup(validateBackup(json).data);
+        const replace = mode === 'replace';
+
+        // Collect timestamps already stored so merge can de-duplicate, and
+        // the sleep check-in stored for each date
+        const existingTimestamps = {};
+        const sleepLogsByDate = new Map();
+        if (!replace) {
+            for (const storeName of RECORD_STORES) {
+                const existing = await getAll(storeName);
+                existingTimestamps[storeName] = new Set(existing.map(r => r.timestamp));
+            }
+            (await getAll(STORES.SLEEP_LOGS)).forEach(log => sleepLogsByDate.set(log.date, log));
+        }
+        const currentSettings = replace ? null : await get(STORES.SETTINGS, 'user-settings');
+
+        const imported = {};
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(Object.values(STORES), 'readwrite');
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+
+            RECORD_STORES.forEach(storeName => {
+                const store = transaction.objectStore(storeName);
+                const seen = replace ? new Set() : existingTimestamps[storeName];
+                imported[storeName] = 0;
+
+                if (replace) store.clear();
+
+                const records = storeName === STORES.SLEEP_LOGS
+                    ? keepLatestPerDate(data[storeName] || [])
+                    : data[storeName] || [];
+                records.forEach(record => {
+                    if (seen.has(record.timestamp)) return;
+                    seen.add(record.timestamp);
+
+                    if (replace) {
+                        store.put(record);
+                    } else {
+                        // Let the store assign a fresh id so we never overwrite local
+                        // records, except an older sleep check-in for the same date
+                        const { id, ...rest } = record;
+                        const sameDate = storeName === STORES.SLEEP_LOGS ? sleepLogsByDate.get(record.date) : null;
+                        if (sameDate && sameDate.timestamp >= record.timestamp) return;
+                        store.put(sameDate ? { ...rest, id: sameDate.id } : rest);
+                    }
+                    imported[storeName]++;
+                });
+            });
+
+            const settingsStore = transaction.objectStore(STORES.SETTINGS);
+            if (replace) settingsStore.clear();
+            if (data.settings) {
+                // Merge applies the backup's valid settings over the local ones
+                settingsStore.put(currentSettings
+                    ? { ...currentSettings, ...getValidSettings(data.settings), id: 'user-settings' }
+                    : { ...Settings.normalize(data.settings), id: 'user-settings' });
+                imported[STORES.SETTINGS] = 1;
+            }
+
+            // A reminder moved out of an older backup's settings
+            data.reminders.forEach(reminder => transaction.objectStore(STORES.REMINDERS).put(reminder));
+        });
+
+        return imported;
+    }
+
     // ===== Clear all data =====
     async function clearAllData() {
         await clear(STORES.WORKOUTS);
@@ -273,30 +757,69 @@ const Storage = (() => {
         await clear(STORES.HABITS);
         await clear(STORES.SETTINGS);
         await clear(STORES.PROGRESS);
+        await clear(STORES.SESSIONS);
+        await clear(STORES.ROUTINES);
+        await clear(STORES.SOUNDS);
+        await clear(STORES.REMINDERS);
+        await clear(STORES.SLEEP_LOGS);
     }
 
     return {
         init,
         STORES,
+        DB_VERSION,
+        toDateKey,
+        fromDateKey,
         add,
         get,
         getAll,
+        getByIndex,
         update,
         remove,
         clear,
         saveWorkout,
+        updateWorkout,
         getWorkoutsForWeek,
+        getWorkoutsForDate,
+        getWorkoutsForLevel,
         getWorkoutsForMonth,
         savePainLog,
         getPainLogs,
         getPainLogsForRange,
         saveHabit,
         getHabitsForToday,
+        getHabitsForRange,
+        saveSleepLog,
+        getSleepLogForDate,
+        getSleepLogsForRange,
         getSettings,
         saveSettings,
+        saveActiveSession,
+        getActiveSession,
+        clearActiveSession,
+        getReminders,
+        saveReminder,
+        getReminderState,
+        saveReminderState,
+        getSittingTimer,
+        saveSittingTimer,
+        clearSittingTimer,
+        getWalkingTimer,
+        saveWalkingTimer,
+        clearWalkingTimer,
+        saveRoutine,
+        getRoutines,
+        getRoutine,
+        deleteRoutine,
+        saveCustomSound,
+        getCustomSounds,
+        deleteCustomSound,
         saveProgress,
         getProgressHistory,
+        getProgressByType,
         exportAllData,
+        validateBackup,
+        importData,
         clearAllData
     };
 })();
@@ -8,138 +8,43 @@ const Timer = (() => {
     let state = {
         isRunning: false,
         isPaused: false,
+        silent: false, // true while replaying transitions missed in the background
         currentPhase: 'idle', // 'idle', 'hold', 'rest', 'transition', 'complete'
-        currentTime: 0,
+        currentTime: 0, // whole seconds left in the phase, for display
+        phaseDuration: 0, // seconds
+        phaseEndsAt: 0, // wall-clock ms when the current phase ends
+        pausedRemaining: 0, // ms left in the phase when paused
+        lastTickSecond: null,
         holdDuration: 10,
         restDuration: 10,
         currentExerciseIndex: 0,
         currentRep: 0,
         currentSet: 0,
+        currentSegment: null, // position within a chained hold
+        currentCycleStep: null, // half-cycle within a counted warm-up
+        coachMarks: {}, // mid-hold announcements already made this rep
+        currentBreathStep: null, // half-breath within a paced hold
         workoutPlan: null,
         startTime: null,
+        context: {},
+        log: [], // per-exercise, per-rep record of the session
+        pausedAt: null,
+        pauseCount: 0,
         callbacks: {}
     };
 
-    // Audio context for sounds
-    let audioContext = null;
+    // Sound cues come from the Sounds module (theme, volume, custom files).
+    // Timer.sounds keeps the per-event functions for existing callers.
+    const sounds = {};
+    Object.keys(Sounds.THEMES.default.tones).forEach(name => {
+        sounds[name] = () => Sounds.play(name);
+    });
 
     // Initialize audio
     function initAudio() {
-        if (!audioContext) {
-            audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        }
-        return audioContext;
-    }
-
-    // Play a beep sound with optional envelope
-    function playBeep(frequency = 800, duration = 150, type = 'sine', volume = 0.3) {
-        try {
-            const ctx = initAudio();
-            const oscillator = ctx.createOscillator();
-            const gainNode = ctx.createGain();
-
-            oscillator.connect(gainNode);
-            gainNode.connect(ctx.destination);
-
-            oscillator.frequency.value = frequency;
-            oscillator.type = type;
-
-            gainNode.gain.setValueAtTime(volume, ctx.currentTime);
-            gainNode.gain.exponentialRampToValueAtTime(0.01, ctx.currentTime + duration / 1000);
-
-            oscillator.start(ctx.currentTime);
-            oscillator.stop(ctx.currentTime + duration / 1000);
-        } catch (e) {
-            console.log('Audio not available:', e);
-        }
+        return Sounds.initAudio();
     }
 
-    // Play a chord (multiple frequencies)
-    function playChord(frequencies, duration = 200, type = 'sine', volume = 0.15) {
-        frequencies.forEach(freq => playBeep(freq, duration, type, volume));
-    }
-
-    // ====== DISTINCT SOUND PATTERNS ======
-    // HOLD = Energizing, ascending, bright (cyan/blue theme)
-    // REST = Calming, soft, lower tones (amber/orange theme)
-    // COUNTDOWN = Building tension, dramatic
-    // COMPLETE = Celebratory, satisfying
-
-    const sounds = {
-        // === HOLD PHASE (Exercise) - Bright, energizing ===
-        startHold: () => {
-            // Ascending power chord - "GO!"
-            playBeep(523, 100, 'sine', 0.3);  // C5
-            setTimeout(() => playBeep(659, 100, 'sine', 0.3), 80);  // E5
-            setTimeout(() => playBeep(784, 200, 'sine', 0.35), 160); // G5
-        },
-
-        endHold: () => {
-            // Satisfying descending resolution
-            playBeep(784, 150, 'sine', 0.25); // G5
-            setTimeout(() => playBeep(659, 150, 'sine', 0.2), 120); // E5
-            setTimeout(() => playBeep(523, 200, 'sine', 0.15), 240); // C5
-        },
-
-        // === REST PHASE - Calming, soft ===
-        startRest: () => {
-            // Gentle double chime - "relax"
-            playBeep(392, 200, 'sine', 0.2);  // G4 (lower, calming)
-            setTimeout(() => playBeep(330, 250, 'sine', 0.15), 180); // E4
-        },
-
-        endRest: () => {
-            // Soft awakening tone
-            playBeep(440, 150, 'sine', 0.2); // A4
-        },
-
-        // === COUNTDOWN (last 3 seconds) ===
-        countdown3: () => {
-            // Low anticipation tick
-            playBeep(440, 80, 'triangle', 0.25); // A4
-        },
-        countdown2: () => {
-            // Rising anticipation
-            playBeep(523, 80, 'triangle', 0.3); // C5
-        },
-        countdown1: () => {
-            // High alert - about to change!
-            playBeep(659, 100, 'triangle', 0.35); // E5
-        },
-        countdown0: () => {
-            // Transition marker
-            playBeep(784, 120, 'sine', 0.4); // G5
-        },
-
-        // === PROGRESS MARKERS ===
-        repComplete: () => {
-            // Quick satisfying "ding"
-            playBeep(880, 80, 'sine', 0.2);  // A5
-            setTimeout(() => playBeep(1047, 100, 'sine', 0.25), 60); // C6
-        },
-
-        exerciseComplete: () => {
-            // Triumphant ascending arpeggio
-            playBeep(523, 100, 'sine', 0.25);  // C5
-            setTimeout(() => playBeep(659, 100, 'sine', 0.25), 100);  // E5
-            setTimeout(() => playBeep(784, 100, 'sine', 0.3), 200);   // G5
-            setTimeout(() => playBeep(1047, 200, 'sine', 0.35), 300); // C6
-        },
-
-        workoutComplete: () => {
-            // Victory fanfare!
-            playChord([523, 659, 784], 200, 'sine', 0.15); // C major chord
-            setTimeout(() => playChord([587, 740, 880], 200, 'sine', 0.15), 250); // D major
-            setTimeout(() => playChord([659, 784, 988], 200, 'sine', 0.18), 500); // E minor-ish
-            setTimeout(() => playChord([523, 659, 784, 1047], 400, 'sine', 0.2), 750); // C major with octave
-        },
-
-        // Legacy/generic tick
-        tick: () => {
-            playBeep(800, 40, 'square', 0.15);
-        }
-    };
-
     // ====== DISTINCT VIBRATION PATTERNS ======
     // HOLD = Strong, confident pulses
     // REST = Gentle, soft feedback
@@ -164,50 +69,88 @@ const Timer = (() => {
         countdown2: () => vibrate([60]),                 // Medium tap
         countdown1: () => vibrate([100]),                // Strong tap
 
+        // WARM-UP / COOL-DOWN - Light pacing
+        startWarmup: () => vibrate([60, 120, 60]),
+        startCooldown: () => vibrate([60, 120, 60]),
+        cycleUp: () => vibrate([30]),
+
         // PROGRESS
         repComplete: () => vibrate([50, 50, 50]),        // Quick triple
         exerciseComplete: () => vibrate([100, 80, 100, 80, 150]), // Celebration pattern
         workoutComplete: () => vibrate([200, 100, 200, 100, 300, 100, 400]) // Victory pattern
     };
 
-    // Speech synthesis for instructions (optional - off by default)
-    function speak(text, priority = false) {
+    // Speech synthesis for instructions (optional - off by default).
+    // level is the coaching verbosity the announcement belongs to.
+    function speak(text, priority = false, level = 'minimal') {
         // Voice announcements require both sound AND voice to be enabled
         if (!state.callbacks.settings?.soundEnabled) return;
         if (!state.callbacks.settings?.voiceEnabled) return;
+        if (state.silent || !Voice.allows(level)) return;
 
-        if ('speechSynthesis' in window) {
-            // Cancel previous if priority
-            if (priority) {
-                window.speechSynthesis.cancel();
-            }
+        Voice.speak(text, priority);
+    }
 
-            const utterance = new SpeechSynthesisUtterance(text);
-            utterance.rate = 1.0;
-            utterance.pitch = 1.0;
-            utterance.volume = 0.8;
+    // Announce which set of a multi-set exercise is coming up
+    function announceSet(item) {
+        if (!item.totalSets || item.totalSets < 2 || isBlockItem(item)) return;
 
-            window.speechSynthesis.speak(utterance);
-        }
+        const setsLeft = item.totalSets - item.setNumber;
+        speak(setsLeft > 0
+            ? `Set ${item.setNumber} of ${item.totalSets}, ${setsLeft} more to go`
+            : 'Last set', false, 'standard');
     }
 
-    // Timer interval reference
+    // Timer loop reference. The loop only polls the clock; all timing is
+    // derived from wall-clock deadlines so throttled or suspended tabs catch up.
     let timerInterval = null;
+    const LOOP_INTERVAL = 200; // ms between clock checks
+    const CATCH_UP_THRESHOLD = 1000; // ms late before transitions are replayed silently
+
+    // Wall-clock time in ms. Date.now keeps counting while the device sleeps,
+    // unlike timers that are throttled or frozen in the background.
+    function now() {
+        return Date.now();
+    }
+
+    // Play the sound and vibration for an event, respecting settings
+    function cue(name) {
+        const settings = state.callbacks.settings || {};
+        if (state.silent) return;
+        if (settings.soundEnabled && sounds[name]) sounds[name]();
+        if (settings.vibrationEnabled && vibrations[name]) vibrations[name]();
+    }
+
+    // Set up state for a workout run. context is opaque data the caller
+    // wants back when resuming (e.g. which flow started the workout).
+    function initWorkoutState(workoutPlan, settings, callbacks, context) {
+        const startTime = now();
 
-    // Start the workout
-    function startWorkout(workoutPlan, settings, callbacks) {
         state = {
             isRunning: true,
             isPaused: false,
+            silent: false,
             currentPhase: 'transition',
             currentTime: 3, // 3 second countdown to start
+            phaseDuration: 3,
+            phaseEndsAt: startTime + 3000,
+            pausedRemaining: 0,
+            lastTickSecond: null,
             holdDuration: settings.holdDuration || 10,
             restDuration: settings.restDuration || 10,
             currentExerciseIndex: 0,
             currentRep: 1,
             currentSet: 1,
+            currentSegment: null,
+            currentCycleStep: null,
+            coachMarks: {},
+            currentBreathStep: null,
             workoutPlan: workoutPlan,
-            startTime: Date.now(),
+            startTime: startTime,
+            context: context || {},
+            log: createSessionLog(workoutPlan, settings.holdDuration || 10),
+            pausedAt: null,
+            pauseCount: 0,
             callbacks: {
                 onTick: callbacks.onTick || (() => { }),
                 onPhaseChange: callbacks.onPhaseChange || (() => { }),
@@ -215,18 +158,126 @@ const Timer = (() => {
                 onRepComplete: callbacks.onRepComplete || (() => { }),
                 onSetComplete: callbacks.onSetComplete || (() => { }),
                 onWorkoutComplete: callbacks.onWorkoutComplete || (() => { }),
+                onSegmentChange: callbacks.onSegmentChange || (() => { }),
+                onCycleChange: callbacks.onCycleChange || (() => { }),
+                onBreathChange: callbacks.onBreathChange || (() => { }),
                 settings: settings
             }
         };
+    }
+
+    // One log entry per plan item; reps are appended as they are attempted
+    function createSessionLog(workoutPlan, holdDuration) {
+        return workoutPlan.exercises.map(item => {
+            const plannedHolds = [];
+            for (let rep = 1; rep <= item.reps; rep++) {
+                plannedHolds.push(getRepHold(item, rep, holdDuration));
+            }
+
+            return {
+                exerciseId: item.exercise.id,
+                name: item.exercise.name,
+                block: item.block || 'main',
+                cycles: item.cycles || null,
+                side: item.exercise.side || null,
+                setNumber: item.setNumber || 1,
+                plannedReps: item.reps,
+                plannedHold: plannedHolds[0],
+                plannedHolds: plannedHolds,
+                reps: [],
+                events: [] // in-workout controls used (skip, repeat, ...)
+            };
+        });
+    }
+
+    // Hold length for a rep: the program's per-rep hold, else the item's
+    // hold, else the default
+    function getRepHold(item, rep, defaultHold = state.holdDuration) {
+        return item.repHolds?.[rep - 1] || item.holdDuration || defaultHold;
+    }
+
+    // Log entry for the rep currently being held
+    function getCurrentRepLog() {
+        const entry = state.log[state.currentExerciseIndex];
+        if (!entry || entry.reps.length === 0) return null;
+        const repLog = entry.reps[entry.reps.length - 1];
+        return repLog.rep === state.currentRep ? repLog : null;
+    }
+
+    // Start the workout
+    function startWorkout(workoutPlan, settings, callbacks, context) {
+        initWorkoutState(workoutPlan, settings, callbacks, context);
 
         // Announce first exercise
         const firstExercise = getCurrentExerciseItem();
         speak(`Get ready for ${firstExercise.exercise.name}. ${firstExercise.exercise.side || ''}`);
+        announceSet(firstExercise);
+
+        checkpoint();
 
         // Start the countdown
         startTimer();
     }
 
+    // Resume a workout from a saved checkpoint. The interrupted rep is
+    // restarted after the usual 3 second countdown.
+    function resumeWorkout(saved, callbacks) {
+        initWorkoutState(saved.workoutPlan, saved.settings, callbacks, saved.context);
+
+        state.currentExerciseIndex = saved.currentExerciseIndex;
+        state.currentRep = saved.currentRep;
+        if (saved.log) state.log = saved.log;
+        state.pauseCount = saved.pauseCount || 0;
+        // Keep the workout duration honest: don't count the time we were gone
+        state.startTime = now() - Math.max(0, saved.savedAt - saved.startTime);
+
+        const exercise = getCurrentExerciseItem();
+        speak(`Resuming ${exercise.exercise.name}. ${exercise.exercise.side || ''}`);
+
+        // Go back into a rest that was under way, from its start; anything
+        // else counts down into the hold again
+        if (saved.currentPhase === 'rest') {
+            startRestPhase(now(), getResumedRestDuration());
+        } else {
+            checkpoint();
+        }
+        startTimer();
+    }
+
+    // Length of the rest being resumed: the previous item's rest after its
+    // set when the current item hasn't started, else the rest between reps
+    function getResumedRestDuration() {
+        const previous = state.workoutPlan.exercises[state.currentExerciseIndex - 1];
+        if (state.currentRep === 1 && previous) {
+            return previous.restAfter ?? getRestDuration(previous);
+        }
+        return getRestDuration(getCurrentExerciseItem());
+    }
+
+    // Save enough state to IndexedDB to resume after a reload or tab kill
+    function checkpoint() {
+        if (typeof Storage === 'undefined' || !state.workoutPlan) return;
+
+        Storage.saveActiveSession({
+            workoutPlan: state.workoutPlan,
+            settings: state.callbacks.settings,
+            context: state.context,
+            currentExerciseIndex: state.currentExerciseIndex,
+            currentRep: state.currentRep,
+            currentPhase: state.currentPhase,
+            startTime: state.startTime,
+            log: state.log,
+            pauseCount: state.pauseCount,
+            savedAt: now()
+        }).catch(e => console.log('Checkpoint failed:', e));
+    }
+
+    // Drop the checkpoint once the workout is finished or abandoned
+    function clearCheckpoint() {
+        if (typeof Storage === 'undefined') return;
+        Storage.clearActiveSession().catch(e => console.log('Clearing checkpoint failed:', e));
+    }
+
     // Get current exercise item from plan
     function getCurrentExerciseItem() {
         if (!state.workoutPlan) return null;
@@ -237,203 +288,573 @@ const Timer = (() => {
     function startTimer() {
         if (timerInterval) clearInterval(timerInterval);
 
-        timerInterval = setInterval(() => {
-            if (!state.isRunning || state.isPaused) return;
-
-            tick();
-        }, 1000);
+        timerInterval = setInterval(tick, LOOP_INTERVAL);
+        tick();
     }
 
-    // Timer tick
+    // Timer tick - fire any due phase transitions, then update the countdown
     function tick() {
-        const settings = state.callbacks.settings || {};
+        if (!state.isRunning || state.isPaused) return;
 
-        // Countdown tick
-        if (state.currentTime > 0) {
-            // Play countdown sounds BEFORE decrementing (so "3" sound plays when showing "3")
-            if (state.currentTime === 3) {
-                if (settings.soundEnabled) sounds.countdown3();
-                if (settings.vibrationEnabled) vibrations.countdown3();
-            } else if (state.currentTime === 2) {
-                if (settings.soundEnabled) sounds.countdown2();
-                if (settings.vibrationEnabled) vibrations.countdown2();
-            } else if (state.currentTime === 1) {
-                if (settings.soundEnabled) sounds.countdown1();
-                if (settings.vibrationEnabled) vibrations.countdown1();
-            }
+        const currentTime = now();
 
-            state.currentTime--;
+        // Replay every transition that came due while we weren't running,
+        // in order, each starting exactly when the previous one ended
+        while (state.isRunning && currentTime >= state.phaseEndsAt) {
+            state.silent = currentTime - state.phaseEndsAt > CATCH_UP_THRESHOLD;
+            handlePhaseComplete(state.phaseEndsAt);
+        }
+        state.silent = false;
 
-            state.callbacks.onTick({
-                time: state.currentTime,
-                phase: state.currentPhase,
-                exercise: getCurrentExerciseItem(),
-                rep: state.currentRep,
-                totalReps: getCurrentExerciseItem()?.reps || 0
-            });
+        if (!state.isRunning) return;
 
-            return;
+        updateCountdown(currentTime);
+    }
+
+    // Emit a tick whenever the displayed second changes
+    function updateCountdown(currentTime) {
+        updateSegment(currentTime);
+        updateCycle(currentTime);
+        updateCoaching(currentTime);
+        updateBreathing(currentTime);
+
+        const secondsLeft = Math.max(0, Math.ceil((state.phaseEndsAt - currentTime) / 1000));
+        if (secondsLeft === state.lastTickSecond) return;
+
+        state.lastTickSecond = secondsLeft;
+        state.currentTime = secondsLeft;
+
+        // Countdown cues for the last 3 seconds of each phase
+        if (secondsLeft >= 1 && secondsLeft <= 3) {
+            cue(`countdown${secondsLeft}`);
         }
 
-        // Time is up, handle phase transition
-        handlePhaseComplete();
+        state.callbacks.onTick({
+            time: secondsLeft,
+            phase: state.currentPhase,
+            exercise: getCurrentExerciseItem(),
+            rep: state.currentRep,
+            totalReps: getCurrentExerciseItem()?.reps || 0
+        });
     }
 
-    // Handle phase completion
-    function handlePhaseComplete() {
-        const settings = state.callbacks.settings || {};
-        const currentExercise = getCurrentExerciseItem();
+    // Chained holds (rolling plank) split each hold evenly between positions.
+    // Announce each roll to the next position.
+    function updateSegment(currentTime) {
+        const item = getCurrentExerciseItem();
+        if (state.currentPhase !== 'hold' || !item?.segments) return;
+
+        const elapsed = state.phaseDuration * 1000 - Math.max(0, state.phaseEndsAt - currentTime);
+        const segmentLength = (state.phaseDuration * 1000) / item.segments.length;
+        const index = Math.min(item.segments.length - 1, Math.floor(elapsed / segmentLength));
+
+        if (index === state.currentSegment) return;
+        state.currentSegment = index;
+
+        // The first position is announced by the hold itself
+        const segment = item.segments[index];
+        if (index > 0) {
+            cue('startHold');
+            speak(segment.audioInstructions?.start || segment.name, true);
+        }
+
+        state.callbacks.onSegmentChange({
+            segment: segment,
+            index: index,
+            total: item.segments.length,
+            exercise: item
+        });
+    }
+
+    // Counted warm-up cycles: pace each half cycle with a tone and count
+    // the cycles aloud, with the movement cues on the first one.
+    function updateCycle(currentTime) {
+        const item = getCurrentExerciseItem();
+        if (state.currentPhase !== 'hold' || !item?.cycles) return;
+
+        const elapsed = state.phaseDuration * 1000 - Math.max(0, state.phaseEndsAt - currentTime);
+        const halfCycle = (item.cycleDuration * 1000) / 2;
+        const step = Math.min(item.cycles * 2 - 1, Math.floor(elapsed / halfCycle));
+
+        if (step === state.currentCycleStep) return;
+        state.currentCycleStep = step;
+
+        const cycle = Math.floor(step / 2) + 1;
+        const isUp = step % 2 === 0;
+        const cueText = item.exercise.cycleCues?.[isUp ? 0 : 1] || '';
+
+        cue(isUp ? 'cycleUp' : 'cycleDown');
+        if (cycle === 1 && cueText) {
+            speak(cueText);
+        } else if (isUp) {
+            speak(String(cycle));
+        }
+
+        state.callbacks.onCycleChange({
+            cycle: cycle,
+            totalCycles: item.cycles,
+            cue: cueText,
+            exercise: item
+        });
+    }
+
+    // Mid-hold coaching: a form cue early in the hold and a halfway call.
+    // Chained holds and warm-up/cool-down blocks have their own announcements.
+    const COACHING = {
+        formCueAt: 0.25, // fraction of the hold done
+        minFormCueHold: 8, // seconds; shorter holds end before a cue is finished
+        minHalfwayHold: 6
+    };
+
+    function updateCoaching(currentTime) {
+        const item = getCurrentExerciseItem();
+        if (state.currentPhase !== 'hold' || !item || item.segments || isBlockItem(item)) return;
+
+        const elapsed = (state.phaseDuration * 1000 - Math.max(0, state.phaseEndsAt - currentTime)) / 1000;
+
+        if (!state.coachMarks.formCue && state.phaseDuration >= COACHING.minFormCueHold &&
+            elapsed >= state.phaseDuration * COACHING.formCueAt) {
+            state.coachMarks.formCue = true;
+            speak(Voice.getFormCue(item.exercise, state.currentRep), false, 'coach');
+        }
+
+        if (!state.coachMarks.halfway && state.phaseDuration >= COACHING.minHalfwayHold &&
+            elapsed >= state.phaseDuration / 2) {
+            state.coachMarks.halfway = true;
+            speak('Halfway', false, 'standard');
+        }
+    }
+
+    // Optional breathing pacer: breathe steadily while bracing, starting
+    // each hold on an inhale. Warm-up cycles and the walk set their own pace.
+    function updateBreathing(currentTime) {
+        const pattern = state.callbacks.settings?.breathPattern;
+        const item = getCurrentExerciseItem();
+        if (!pattern || state.currentPhase !== 'hold' || !item || isBlockItem(item)) return;
+
+        const elapsed = state.phaseDuration * 1000 - Math.max(0, state.phaseEndsAt - currentTime);
+        const breath = Breathing.getBreathAt(elapsed, pattern);
+
+        if (breath.step === state.currentBreathStep) return;
+        state.currentBreathStep = breath.step;
+
+        cue(breath.phase === 'inhale' ? 'breatheIn' : 'breatheOut');
+
+        state.callbacks.onBreathChange({
+            ...breath,
+            exercise: item
+        });
+    }
 
+    // Begin a phase that started at startAt and lasts duration seconds
+    function beginPhase(phase, duration, startAt) {
+        state.currentPhase = phase;
+        state.phaseDuration = duration;
+        state.currentTime = duration;
+        state.phaseEndsAt = startAt + duration * 1000;
+        state.lastTickSecond = null;
+
+        checkpoint();
+    }
+
+    // Handle phase completion
+    function handlePhaseComplete(endedAt) {
         switch (state.currentPhase) {
             case 'transition':
-                // Start first hold
-                startHoldPhase();
+                // Countdown done - start the hold
+                startHoldPhase(endedAt);
                 break;
 
             case 'hold':
                 // Hold complete - rep finished!
-                if (settings.soundEnabled) sounds.endHold();
-                if (settings.vibrationEnabled) vibrations.endHold();
-
-                // Quick satisfying rep complete feedback
-                setTimeout(() => {
-                    if (settings.soundEnabled) sounds.repComplete();
-                    if (settings.vibrationEnabled) vibrations.repComplete();
-                }, 300);
-
-                state.callbacks.onRepComplete({
-                    rep: state.currentRep,
-                    totalReps: currentExercise.reps
-                });
-
-                // Check if more reps in this set
-                if (state.currentRep < currentExercise.reps) {
-                    // More reps - go to rest, then next rep
-                    state.currentRep++;
-                    startRestPhase();
-                } else {
-                    // Set complete - check for more exercises
-                    if (settings.soundEnabled) sounds.exerciseComplete();
-                    if (settings.vibrationEnabled) vibrations.exerciseComplete();
-
-                    state.callbacks.onSetComplete({
-                        exercise: currentExercise,
-                        exerciseIndex: state.currentExerciseIndex
-                    });
-
-                    // Move to next exercise in plan
-                    if (state.currentExerciseIndex < state.workoutPlan.exercises.length - 1) {
-                        state.currentExerciseIndex++;
-                        state.currentRep = 1;
-
-                        const nextExercise = getCurrentExerciseItem();
-
-                        // Announce next exercise
-                        speak(`Next: ${nextExercise.exercise.name}. ${nextExercise.exercise.side || ''}`, true);
-
-                        state.callbacks.onExerciseChange({
-                            exercise: nextExercise,
-                            exerciseIndex: state.currentExerciseIndex
-                        });
-
-                        // Rest before next exercise
-                        startRestPhase();
-                    } else {
-                        // Workout complete!
-                        completeWorkout();
-                    }
-                }
+                finishRep(endedAt, true);
                 break;
 
             case 'rest':
                 // Rest complete - start next hold
-                startHoldPhase();
+                cue('endRest');
+                startHoldPhase(endedAt);
                 break;
         }
     }
 
+    // Close out the current rep and move on: rest before the next rep or
+    // exercise, or finish the workout. Skipped reps get no completion cues.
+    function finishRep(endedAt, completed) {
+        const currentExercise = getCurrentExerciseItem();
+
+        if (completed) {
+            cue('endHold');
+            if (!isBlockItem(currentExercise)) {
+                speak(currentExercise.exercise.audioInstructions?.release || 'Release', true, 'standard');
+            }
+
+            const repLog = getCurrentRepLog();
+            if (repLog) {
+                repLog.actualHold = repLog.plannedHold;
+                repLog.completed = true;
+            }
+
+            // Quick satisfying rep complete feedback
+            if (!state.silent) {
+                setTimeout(() => cue('repComplete'), 300);
+            }
+
+            state.callbacks.onRepComplete({
+                rep: state.currentRep,
+                totalReps: currentExercise.reps
+            });
+        }
+
+        // Check if more reps in this set
+        if (state.currentRep < currentExercise.reps) {
+            // More reps - go to rest, then next rep
+            state.currentRep++;
+            startRestPhase(endedAt);
+            return;
+        }
+
+        // Set complete - check for more exercises
+        if (completed) cue('exerciseComplete');
+        const restAfterSet = currentExercise.restAfter ?? getRestDuration(currentExercise);
+
+        state.callbacks.onSetComplete({
+            exercise: currentExercise,
+            exerciseIndex: state.currentExerciseIndex
+        });
+
+        // Move to next exercise in plan
+        if (state.currentExerciseIndex < state.workoutPlan.exercises.length - 1) {
+            state.currentExerciseIndex++;
+            state.currentRep = 1;
+
+            const nextExercise = getCurrentExerciseItem();
+
+            // Announce next exercise (after the release cue, if any)
+            speak(`Next: ${nextExercise.exercise.name}. ${nextExercise.exercise.side || ''}`);
+            announceSet(nextExercise);
+
+            state.callbacks.onExerciseChange({
+                exercise: nextExercise,
+                exerciseIndex: state.currentExerciseIndex
+            });
+
+            // Rest before next exercise
+            startRestPhase(endedAt, restAfterSet);
+        } else {
+            // Workout complete!
+            completeWorkout(endedAt);
+        }
+    }
+
+    // Start cues for warm-up and cool-down holds
+    const BLOCK_CUES = {
+        warmup: 'startWarmup',
+        cooldown: 'startCooldown'
+    };
+
     // Start hold phase
-    function startHoldPhase() {
-        const settings = state.callbacks.settings || {};
+    function startHoldPhase(startAt = now()) {
         const currentExercise = getCurrentExerciseItem();
+        const holdDuration = getRepHold(currentExercise, state.currentRep);
+
+        state.log[state.currentExerciseIndex].reps.push({
+            rep: state.currentRep,
+            plannedHold: holdDuration,
+            actualHold: 0,
+            pauses: 0,
+            pausedSeconds: 0,
+            completed: false
+        });
 
-        state.currentPhase = 'hold';
-        state.currentTime = state.holdDuration;
+        beginPhase('hold', holdDuration, startAt);
+        state.currentSegment = null;
+        state.currentCycleStep = null;
+        state.coachMarks = {};
+        state.currentBreathStep = null;
 
-        if (settings.soundEnabled) sounds.startHold();
-        if (settings.vibrationEnabled) vibrations.startHold();
+        cue(BLOCK_CUES[currentExercise.block] || 'startHold');
 
         // Speak instruction
-        if (state.currentRep === 1) {
+        if (currentExercise.cycles) {
+            speak(`Warm up. ${currentExercise.cycles} slow ${currentExercise.exercise.name} cycles`);
+        } else if (state.currentRep === 1) {
             speak(currentExercise.exercise.audioInstructions?.start || 'Hold');
         }
 
+        if (!isBlockItem(currentExercise) && currentExercise.reps > 1) {
+            speak(`Rep ${state.currentRep} of ${currentExercise.reps}`, false, 'standard');
+        }
+
         state.callbacks.onPhaseChange({
             phase: 'hold',
-            duration: state.holdDuration,
+            duration: holdDuration,
             rep: state.currentRep,
             exercise: currentExercise
         });
     }
 
-    // Start rest phase
-    function startRestPhase() {
-        const settings = state.callbacks.settings || {};
+    // Rest between a plan item's reps: the item's own rest, else the default
+    function getRestDuration(item) {
+        return item?.restDuration ?? state.restDuration;
+    }
+
+    // Start rest phase. A zero-length rest goes straight to the next hold.
+    function startRestPhase(startAt = now(), duration = getRestDuration(getCurrentExerciseItem())) {
+        if (duration <= 0) {
+            startHoldPhase(startAt);
+            return;
+        }
 
-        state.currentPhase = 'rest';
-        state.currentTime = state.restDuration;
+        beginPhase('rest', duration, startAt);
 
-        if (settings.soundEnabled) sounds.startRest();
-        if (settings.vibrationEnabled) vibrations.startRest();
+        cue('startRest');
 
         speak('Rest');
 
         state.callbacks.onPhaseChange({
             phase: 'rest',
-            duration: state.restDuration,
+            duration: duration,
             rep: state.currentRep,
             exercise: getCurrentExerciseItem()
         });
     }
 
     // Complete the workout
-    function completeWorkout() {
-        const settings = state.callbacks.settings || {};
-
+    function completeWorkout(endedAt = now()) {
         state.isRunning = false;
         state.currentPhase = 'complete';
+        state.currentTime = 0;
 
-        if (settings.soundEnabled) sounds.workoutComplete();
-        if (settings.vibrationEnabled) vibrations.workoutComplete();
+        cue('workoutComplete');
 
         speak('Workout complete. Great job!', true);
 
-        const duration = Math.round((Date.now() - state.startTime) / 1000);
+        const duration = Math.round((endedAt - state.startTime) / 1000);
 
         state.callbacks.onWorkoutComplete({
             duration: duration,
-            exercisesCompleted: state.workoutPlan.exercises.length,
-            level: state.workoutPlan.level
+            level: state.workoutPlan.level,
+            log: getSessionLog()
         });
 
+        clearCheckpoint();
         stopTimer();
     }
 
-    // Pause the timer
+    // Pause the timer, remembering how much of the phase is left
     function pause() {
+        if (!state.isRunning || state.isPaused) return;
+        tick();
+        state.pausedRemaining = Math.max(0, state.phaseEndsAt - now());
         state.isPaused = true;
+        state.pausedAt = now();
+        state.pauseCount++;
+
+        const repLog = state.currentPhase === 'hold' ? getCurrentRepLog() : null;
+        if (repLog) repLog.pauses++;
+
         speak('Paused');
     }
 
-    // Resume the timer
+    // Resume the timer from where the phase was paused
     function resume() {
-        state.isPaused = false;
+        if (!state.isPaused) return;
+
+        endPause();
         speak('Resuming');
 
         // Resume audio context if suspended
-        if (audioContext && audioContext.state === 'suspended') {
-            audioContext.resume();
+        Sounds.resumeAudio();
+
+        tick();
+    }
+
+    // Restart the phase clock after a pause, crediting the paused time to the rep
+    function endPause() {
+        const repLog = state.currentPhase === 'hold' ? getCurrentRepLog() : null;
+        if (repLog) repLog.pausedSeconds += Math.round((now() - state.pausedAt) / 1000);
+
+        state.phaseEndsAt = now() + state.pausedRemaining;
+        state.isPaused = false;
+        state.pausedAt = null;
+    }
+
+    // ====== IN-WORKOUT CONTROLS ======
+    // Each control resumes a paused workout, acts immediately and records
+    // an event in the current exercise's log entry.
+
+    // Whether a control can act now (isAllowed checks its own condition).
+    // Only a control that will act ends the pause.
+    function canControl(isAllowed = () => true) {
+        if (!state.isRunning || !state.workoutPlan) return false;
+        if (!state.isPaused) tick();
+        if (!state.isRunning || !isAllowed()) return false;
+
+        if (state.isPaused) endPause();
+        return true;
+    }
+
+    function logEvent(type, detail = {}) {
+        const entry = state.log[state.currentExerciseIndex];
+        (entry.events = entry.events || []).push({
+            type: type,
+            rep: state.currentRep,
+            phase: state.currentPhase,
+            at: Math.round((now() - state.startTime) / 1000), // seconds into the workout
+            ...detail
+        });
+    }
+
+    // Seconds of the current phase already done
+    function getPhaseElapsed(at = now()) {
+        const remaining = state.isPaused ? state.pausedRemaining : Math.max(0, state.phaseEndsAt - at);
+        return Math.round((state.phaseDuration * 1000 - remaining) / 1000);
+    }
+
+    // Mark the current rep skipped: the hold in progress, or the upcoming
+    // rep when resting or counting down
+    function markRepSkipped(at) {
+        const repLog = state.currentPhase === 'hold' ? getCurrentRepLog() : null;
+        if (repLog) {
+            repLog.actualHold = getPhaseElapsed(at);
+            repLog.skipped = true;
+            return;
+        }
+
+        state.log[state.currentExerciseIndex].reps.push({
+            rep: state.currentRep,
+            plannedHold: getRepHold(getCurrentExerciseItem(), state.currentRep),
+            actualHold: 0,
+            pauses: 0,
+            pausedSeconds: 0,
+            completed: false,
+            skipped: true
+        });
+    }
+
+    // Short countdown before a rep that was jumped to
+    function startCountdown(startAt) {
+        beginPhase('transition', 3, startAt);
+
+        state.callbacks.onPhaseChange({
+            phase: 'transition',
+            duration: 3,
+            rep: state.currentRep,
+            exercise: getCurrentExerciseItem()
+        });
+    }
+
+    // Jump to a plan item, starting at its first rep
+    function goToExercise(index, startAt) {
+        state.currentExerciseIndex = index;
+        state.currentRep = 1;
+
+        const exercise = getCurrentExerciseItem();
+        speak(`${exercise.exercise.name}. ${exercise.exercise.side || ''}`, true);
+        announceSet(exercise);
+
+        state.callbacks.onExerciseChange({
+            exercise: exercise,
+            exerciseIndex: state.currentExerciseIndex
+        });
+
+        startCountdown(startAt);
+    }
+
+    // Skip the current rep and carry on as if it had finished
+    function skipRep() {
+        if (!canControl()) return false;
+        const at = now();
+
+        markRepSkipped(at);
+        logEvent('skip-rep');
+        speak('Skipping rep', true);
+        finishRep(at, false);
+        return true;
+    }
+
+    // Redo a rep: the one being held, or the one just finished while resting.
+    // Starts again after a short countdown to get back into position.
+    function repeatRep() {
+        // Nothing to redo before the first rep has been started
+        const canRepeat = () => state.currentPhase === 'hold' || state.currentRep > 1 || state.currentExerciseIndex > 0;
+        if (!canControl(canRepeat)) return false;
+        const at = now();
+
+        if (state.currentPhase === 'hold') {
+            const repLog = getCurrentRepLog();
+            if (repLog) {
+                repLog.actualHold = getPhaseElapsed(at);
+                repLog.repeated = true;
+            }
+        } else if (state.currentRep > 1) {
+            state.currentRep--;
+        } else if (state.currentExerciseIndex > 0) {
+            state.currentExerciseIndex--;
+            state.currentRep = getCurrentExerciseItem().reps;
+            state.callbacks.onExerciseChange({
+                exercise: getCurrentExerciseItem(),
+                exerciseIndex: state.currentExerciseIndex
+            });
+        }
+
+        logEvent('repeat-rep');
+        speak('Again', true);
+        startCountdown(at);
+        return true;
+    }
+
+    // Skip the rest of the current exercise (e.g. an aggravating side)
+    function nextExercise() {
+        if (!canControl()) return false;
+        const at = now();
+        const item = getCurrentExerciseItem();
+        const repsSkipped = item.reps - state.currentRep + 1;
+
+        logEvent('next-exercise', { repsSkipped });
+        markRepSkipped(at);
+        for (let rep = state.currentRep + 1; rep <= item.reps; rep++) {
+            state.currentRep = rep;
+            markRepSkipped(at);
+        }
+
+        if (state.currentExerciseIndex >= state.workoutPlan.exercises.length - 1) {
+            completeWorkout(at);
+        } else {
+            goToExercise(state.currentExerciseIndex + 1, at);
         }
+        return true;
+    }
+
+    // Go back to the previous exercise, or restart the first one
+    function previousExercise() {
+        if (!canControl()) return false;
+        const at = now();
+
+        const repLog = state.currentPhase === 'hold' ? getCurrentRepLog() : null;
+        if (repLog) {
+            repLog.actualHold = getPhaseElapsed(at);
+            repLog.repeated = true;
+        }
+        logEvent('previous-exercise');
+
+        goToExercise(Math.max(0, state.currentExerciseIndex - 1), at);
+        return true;
+    }
+
+    // Add time to the rest in progress
+    function extendRest(seconds = 10) {
+        if (!canControl(() => state.currentPhase === 'rest')) return false;
+
+        state.phaseEndsAt += seconds * 1000;
+        state.phaseDuration += seconds;
+        state.lastTickSecond = null;
+        logEvent('extend-rest', { seconds });
+
+        checkpoint();
+        tick();
+        return true;
     }
 
     // Stop the timer
@@ -448,18 +869,30 @@ const Timer = (() => {
     // Reset timer state
     function reset() {
         stopTimer();
+        if (state.workoutPlan) clearCheckpoint();
         state = {
             isRunning: false,
             isPaused: false,
+            silent: false,
             currentPhase: 'idle',
             currentTime: 0,
+            phaseDuration: 0,
+            phaseEndsAt: 0,
+            pausedRemaining: 0,
+            lastTickSecond: null,
             holdDuration: 10,
             restDuration: 10,
             currentExerciseIndex: 0,
             currentRep: 0,
             currentSet: 0,
+            currentSegment: null,
+            currentCycleStep: null,
             workoutPlan: null,
             startTime: null,
+            context: {},
+            log: [],
+            pausedAt: null,
+            pauseCount: 0,
             callbacks: {}
         };
     }
@@ -469,14 +902,101 @@ const Timer = (() => {
         return { ...state };
     }
 
-    // Calculate progress percentage for the ring
-    function getProgressPercent() {
-        if (state.currentPhase === 'hold') {
-            return ((state.holdDuration - state.currentTime) / state.holdDuration) * 100;
-        } else if (state.currentPhase === 'rest') {
-            return ((state.restDuration - state.currentTime) / state.restDuration) * 100;
+    // Per-rep record of the session so far, with totals. A hold in progress
+    // is reported with the seconds actually held.
+    function getSessionLog() {
+        const exercises = state.log.map(entry => ({
+            ...entry,
+            reps: entry.reps.map(repLog => ({ ...repLog }))
+        }));
+
+        const current = state.currentPhase === 'hold' ? getCurrentRepLog() : null;
+        if (current && !current.completed) {
+            const entry = exercises[state.currentExerciseIndex];
+            entry.reps[entry.reps.length - 1].actualHold = getPhaseElapsed();
         }
-        return 0;
+
+        return summarizeLog(exercises, state.pauseCount);
+    }
+
+    // Warm-up and cool-down items are logged but kept out of the exercise totals
+    function isBlockItem(item) {
+        return !!item.block && item.block !== 'main';
+    }
+
+    // Summary of a warm-up or cool-down log entry, or null if there wasn't one
+    function summarizeBlock(entry) {
+        if (!entry) return null;
+        const repLog = entry.reps[0];
+        return {
+            exerciseId: entry.exerciseId,
+            cycles: entry.cycles,
+            plannedSeconds: entry.plannedHold,
+            actualSeconds: repLog ? repLog.actualHold : 0,
+            completed: !!repLog?.completed
+        };
+    }
+
+    // Reps of a log entry completed at least once (a repeated rep counts once)
+    function countCompletedReps(entry) {
+        return new Set(entry.reps.filter(r => r.completed).map(r => r.rep)).size;
+    }
+
+    // Main items of a plan whose planned reps were all held, from its
+    // session log (log entries follow the plan's items)
+    function getHeldItems(plan, log) {
+        return plan.exercises.filter((item, i) => {
+            const entry = log.exercises[i];
+            return entry && !isBlockItem(entry) && entry.plannedReps > 0 && countCompletedReps(entry) >= entry.plannedReps;
+        });
+    }
+
+    // Totals for a session log (also used for logs restored from a checkpoint)
+    function summarizeLog(exercises, pauses = 0) {
+        const main = exercises.filter(entry => !isBlockItem(entry));
+        const allReps = main.flatMap(entry => entry.reps);
+
+        // How often each in-workout control was used
+        const actions = {};
+        exercises.flatMap(entry => entry.events || []).forEach(event => {
+            actions[event.type] = (actions[event.type] || 0) + 1;
+        });
+
+        return {
+            exercises,
+            repsPlanned: main.reduce((sum, entry) => sum + entry.plannedReps, 0),
+            repsCompleted: main.reduce((sum, entry) => sum + countCompletedReps(entry), 0),
+            repsSkipped: allReps.filter(r => r.skipped).length,
+            holdSecondsPlanned: main.reduce((sum, entry) => sum + (entry.plannedHolds
+                ? entry.plannedHolds.reduce((total, hold) => total + hold, 0)
+                : entry.plannedReps * entry.plannedHold), 0),
+            holdSecondsActual: allReps.reduce((sum, r) => sum + r.actualHold, 0),
+            exercisesCompleted: main.filter(entry => countCompletedReps(entry) >= entry.plannedReps).length,
+            warmup: summarizeBlock(exercises.find(entry => entry.block === 'warmup')),
+            cooldown: summarizeBlock(exercises.find(entry => entry.block === 'cooldown')),
+            actions,
+            pauses
+        };
+    }
+
+    // Calculate progress percentage for the ring, to the millisecond
+    function getProgressPercent() {
+        if (state.currentPhase !== 'hold' && state.currentPhase !== 'rest') return 0;
+        if (!state.phaseDuration) return 0;
+
+        const remaining = state.isPaused
+            ? state.pausedRemaining
+            : Math.max(0, state.phaseEndsAt - now());
+        const elapsed = state.phaseDuration * 1000 - remaining;
+
+        return Math.min(100, Math.max(0, (elapsed / (state.phaseDuration * 1000)) * 100));
+    }
+
+    // Catch up immediately when the page becomes visible again
+    if (typeof document !== 'undefined') {
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') tick();
+        });
     }
 
     // Format time as mm:ss
@@ -488,11 +1008,20 @@ const Timer = (() => {
 
     return {
         startWorkout,
+        resumeWorkout,
         pause,
         resume,
+        skipRep,
+        repeatRep,
+        nextExercise,
+        previousExercise,
+        extendRest,
         stopTimer,
         reset,
         getState,
+        getSessionLog,
+        summarizeLog,
+        getHeldItems,
         getProgressPercent,
         formatTime,
         sounds,
@@ -0,0 +1,100 @@
+/**
+ * McGill Big 3 - Voice Module
+ * Spoken coaching: voice choice, speaking rate and how much gets said
+ */
+
+const Voice = (() => {
+    // Each level says everything the levels below it do
+    const VERBOSITY = {
+        minimal: { name: 'Minimal', rank: 1, description: 'Exercise names and rest' },
+        standard: { name: 'Standard', rank: 2, description: 'Adds rep numbers, release and sets' },
+        coach: { name: 'Full Coaching', rank: 3, description: 'Adds halfway point and form cues mid-hold' }
+    };
+
+    const RATE_LIMITS = { min: 0.5, max: 1.5 };
+
+    // Current voice settings, from settings
+    let config = {
+        verbosity: 'standard',
+        voiceURI: '',
+        rate: 1.0
+    };
+
+    function isSupported() {
+        return 'speechSynthesis' in window;
+    }
+
+    // Apply verbosity, voice and rate settings
+    function configure(settings) {
+        const rate = parseFloat(settings.voiceRate);
+        config = {
+            verbosity: VERBOSITY[settings.voiceVerbosity] ? settings.voiceVerbosity : 'standard',
+            voiceURI: settings.voiceURI || '',
+            rate: Number.isFinite(rate) ? Math.min(RATE_LIMITS.max, Math.max(RATE_LIMITS.min, rate)) : 1.0
+        };
+    }
+
+    // Whether the current verbosity includes announcements of a level
+    function allows(level) {
+        return VERBOSITY[config.verbosity].rank >= VERBOSITY[level].rank;
+    }
+
+    // Installed voices. Browsers load these asynchronously, so the list can
+    // be empty until onVoicesChanged fires.
+    function getVoices() {
+        if (!isSupported()) return [];
+        return window.speechSynthesis.getVoices().map(voice => ({
+            voiceURI: voice.voiceURI,
+            name: voice.name,
+            lang: voice.lang
+        }));
+    }
+
+    function onVoicesChanged(callback) {
+        if (!isSupported()) return;
+        window.speechSynthesis.addEventListener('voiceschanged', callback);
+    }
+
+    // Speak text with the chosen voice and rate; priority drops anything queued
+    function speak(text, priority = false) {
+        if (!isSupported() || !text) return;
+
+        if (priority) {
+            window.speechSynthesis.cancel();
+        }
+
+        const utterance = new SpeechSynthesisUtterance(text);
+        const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === config.voiceURI);
+        if (voice) utterance.voice = voice;
+        utterance.rate = config.rate;
+        utterance.pitch = 1.0;
+        utterance.volume = 0.8;
+
+        window.speechSynthesis.speak(utterance);
+    }
+
+    // Form cues for an exercise: its hold instruction, then its tips
+    function getFormCues(exercise) {
+        const cues = [exercise.audioInstructions?.hold, ...(exercise.tips || [])];
+        return [...new Set(cues.filter(Boolean))];
+    }
+
+    // A different form cue each rep, cycling through the list
+    function getFormCue(exercise, rep) {
+        const cues = getFormCues(exercise);
+        return cues.length > 0 ? cues[(rep - 1) % cues.length] : null;
+    }
+
+    return {
+        VERBOSITY,
+        RATE_LIMITS,
+        isSupported,
+        configure,
+        allows,
+        getVoices,
+        onVoicesChanged,
+        speak,
+        getFormCues,
+        getFormCue
+    };
+})();
@@ -0,0 +1,141 @@
+/**
+ * McGill Big 3 - Walking Module
+ * Walking goals and progressive plans by recovery phase, today's
+ * progress, and a walk timer that runs off the clock so it survives
+ * reloads and backgrounding.
+ * Shared by the page and the service worker, so no DOM access here.
+ */
+
+const Walking = (() => {
+    // Progressive plans by recovery phase, following the walking advice
+    // in Recovery.PHASES: walks a day and minutes per walk, rising each
+    // week from start to max
+    const PLANS = {
+        acute: { name: 'Acute', sessions: 3, startMinutes: 10, maxMinutes: 15, weeklyIncrease: 1 },
+        subacute: { name: 'Subacute', sessions: 2, startMinutes: 15, maxMinutes: 20, weeklyIncrease: 1 },
+        chronic: { name: 'Rehabilitation', sessions: 2, startMinutes: 20, maxMinutes: 30, weeklyIncrease: 2 },
+        recovered: { name: 'Resilient', sessions: 1, startMinutes: 30, maxMinutes: 45, weeklyIncrease: 5 }
+    };
+
+    const MAX_MINUTES = 180; // A timed walk is capped at this
+    const WEEK_MS = 7 * 24 * 60 * 60 * 1000;
+
+    function dateKey(date) {
+        return Storage.toDateKey(date);
+    }
+
+    // e.g. '10-15 min, 3x daily'
+    function describePlan(plan) {
+        return `${plan.startMinutes}-${plan.maxMinutes} min, ${plan.sessions}x daily`;
+    }
+
+    // This week's plan for the user's recovery phase, or null when there
+    // is no plan to follow
+    function getPlan(settings, date = new Date()) {
+        const plan = PLANS[settings.recoveryPhase];
+        if (!settings.walkingPlan || !plan) return null;
+
+        const start = settings.walkingPlanStart ? Storage.fromDateKey(settings.walkingPlanStart) : date;
+        const week = Math.max(0, Math.floor((date - start) / WEEK_MS));
+        return {
+            ...plan,
+            phase: settings.recoveryPhase,
+            week: week + 1,
+            minutes: Math.min(plan.maxMinutes, plan.startMinutes + week * plan.weeklyIncrease)
+        };
+    }
+
+    // Minutes a day: the plan's walks, or the walking goal
+    function getDailyGoal(settings) {
+        const plan = getPlan(settings);
+        return plan ? plan.sessions * plan.minutes : settings.walkingGoal;
+    }
+
+    // Progress from a day's habit entries. With a plan, only walks of the
+    // planned length count towards its walks.
+    function summarize(settings, habits) {
+        const walks = habits.filter(h => h.type === 'walking');
+        const minutes = walks.reduce((sum, h) => sum + h.minutes, 0);
+        const plan = getPlan(settings);
+        const goal = getDailyGoal(settings);
+        const planWalks = plan ? walks.filter(h => h.minutes >= plan.minutes).length : 0;
+
+        return {
+            minutes: minutes,
+            walks: walks.length,
+            planWalks: planWalks,
+            goal: goal,
+            plan: plan,
+            done: plan ? planWalks >= plan.sessions : minutes >= goal
+        };
+    }
+
+    async function getToday(settings) {
+        return summarize(settings, await Storage.getHabitsForToday());
+    }
+
+    // What to do next, e.g. for a reminder
+    function describeNext(status) {
+        if (status.plan) {
+            return status.done
+                ? `All ${status.plan.sessions} walks done today`
+                : `Walk ${status.planWalks + 1} of ${status.plan.sessions} today: ${status.plan.minutes} minutes`;
+        }
+        if (status.done) return `Today's ${status.goal}-minute walking goal is done`;
+        return status.minutes > 0
+            ? `${status.goal - status.minutes} more minutes of walking reaches today's ${status.goal}-minute goal`
+            : `Time for a walk. Today's goal is ${status.goal} minutes.`;
+    }
+
+    // ===== Walk timer =====
+    async function getTimer() {
+        return Storage.getWalkingTimer();
+    }
+
+    function getElapsed(timer, now = Date.now()) {
+        return timer ? Math.max(0, Math.floor((now - timer.startedAt) / 1000)) : 0;
+    }
+
+    async function start() {
+        const timer = { startedAt: Date.now() };
+        await Storage.saveWalkingTimer(timer);
+        return timer;
+    }
+
+    // Stop the timer and log the walk. Returns the walk, or null when it
+    // was under a minute and nothing was logged.
+    async function stop() {
+        const timer = await getTimer();
+        await Storage.clearWalkingTimer();
+        if (!timer) return null;
+
+        const seconds = Math.min(getElapsed(timer), MAX_MINUTES * 60);
+        const minutes = Math.round(seconds / 60);
+        if (minutes < 1) return null;
+
+        const walk = {
+            type: 'walking',
+            minutes: minutes,
+            seconds: seconds,
+            startedAt: timer.startedAt,
+            date: dateKey(new Date(timer.startedAt))
+        };
+        await Storage.saveHabit(walk);
+        return { ...walk, capped: getElapsed(timer) > MAX_MINUTES * 60 };
+    }
+
+    return {
+        PLANS,
+        MAX_MINUTES,
+        describePlan,
+        getPlan,
+        getDailyGoal,
+        summarize,
+        getToday,
+        describeNext,
+        getTimer,
+        getElapsed,
+        start,
+        stop
+    };
+})();
@@ -1,4 +1,7 @@
-const CACHE_NAME = 'mcgill-big3-v1';
+// Shared with the page: data access and reminder scheduling
+importScripts('/js/settings.js', '/js/storage.js', '/js/walking.js', '/js/reminders.js');
+
+const CACHE_NAME = 'mcgill-big3-v14';
 const ASSETS_TO_CACHE = [
     '/',
     '/index.html',
@@ -6,8 +9,20 @@ const ASSETS_TO_CACHE = [
     '/css/design-tokens.css',
     '/css/components.css',
     '/css/pages.css',
+    '/js/settings.js',
     '/js/storage.js',
     '/js/exercises.js',
+    '/js/routines.js',
+    '/js/regression.js',
+    '/js/progression.js',
+    '/js/walking.js',
+    '/js/sleep.js',
+    '/js/reminders.js',
+    '/js/sitting.js',
+    '/js/sounds.js',
+    '/js/voice.js',
+    '/js/breathing.js',
+    '/js/nerve-floss.js',
     '/js/timer.js',
     '/js/analytics.js',
     '/js/app.js',
@@ -76,31 +91,57 @@ self.addEventListener('fetch', (event) => {
 // Handle push notifications
 self.addEventListener('push', (event) => {
     const options = {
-        body: event.data ? event.data.text() : 'Time for your McGill Big 3!',
-        icon: '/assets/icons/icon-192.png',
-        badge: '/assets/icons/icon-72.png',
-        vibrate: [100, 50, 100],
+        ...Reminders.NOTIFICATION,
+        body: event.data ? event.data.text() : Reminders.NOTIFICATION.body,
         data: {
-            url: '/'
-        },
-        actions: [
-            { action: 'start', title: 'Start Workout' },
-            { action: 'later', title: 'Later' }
-        ]
+            url: Reminders.TYPES.workout.url,
+            type: 'workout'
+        }
     };
 
     event.waitUntil(
-        self.registration.showNotification('McGill Big 3', options)
+        self.registration.showNotification(Reminders.NOTIFICATION.title, options)
     );
 });
 
+// Open the app at a URL, or focus it if it's already open and pass the
+// URL along as a message
+async function openApp(url) {
+    const windows = await clients.matchAll({ type: 'window', includeUncontrolled: true });
+    if (windows.length > 0) {
+        const client = await windows[0].focus();
+        if (url !== '/') client.postMessage({ type: 'open', url: url });
+        return client;
+    }
+    return clients.openWindow(url);
+}
+
 // Handle notification click
 self.addEventListener('notificationclick', (event) => {
     event.notification.close();
-    
-    if (event.action === 'start' || !event.action) {
+    const data = event.notification.data || {};
+
+    if (event.action === 'later') {
         event.waitUntil(
-            clients.openWindow('/')
+            Storage.init()
+                .then(() => Storage.getSettings())
+                .then((settings) => Reminders.snooze(data.type || 'workout', settings))
         );
+    } else if (data.type) {
+        // Reminders go to their page from "start", otherwise home
+        event.waitUntil(openApp(event.action === 'start' ? data.url : '/'));
+    } else {
+        event.waitUntil(openApp(data.url || '/'));
     }
 });
+
+// Fallback reminders where Notification Triggers aren't available
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== Reminders.SYNC_TAG) return;
+
+    event.waitUntil(
+        Storage.init()
+            .then(() => Storage.getSettings())
+            .then((settings) => Reminders.showDue(settings))
+    );
+});
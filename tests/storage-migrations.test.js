@@ -0,0 +1,175 @@
+/**
+ * McGill Big 3 - Storage Migration Tests
+ * Build a v1 database with fixture data, open it with Storage and check
+ * every migration ran and kept the data. Uses its own database, so the
+ * app's data is never touched.
+ */
+
+(() => {
+    const { test, assert, assertEqual } = TestRunner;
+    const TEST_DB = 'mcgill-big3-migration-test';
+
+    const FIXTURES = {
+        workouts: [
+            { date: '2024-01-10', completed: true, level: 'standard', exercisesCompleted: 5, timestamp: 1000 },
+            { date: '2024-01-11', completed: true, level: 'developing', exercisesCompleted: 5, timestamp: 2000 }
+        ],
+        painLogs: [
+            { date: '2024-01-10', painLevel: 4, timestamp: 3000 },
+            { date: '2024-01-11', painLevel: 3, symptoms: ['stiffness'], locations: ['lower-back'], timestamp: 4000 }
+        ],
+        habits: [
+            { date: '2024-01-10', type: 'walking', minutes: 20, timestamp: 5000 }
+        ],
+        progress: [
+            { date: '2024-01-10', type: 'assessment', results: { phase: 'chronic' }, timestamp: 6000 }
+        ],
+        settings: {
+            id: 'user-settings',
+            level: 'developing',
+            holdDuration: 12,
+            darkMode: false,
+            reminderEnabled: true,
+            reminderTime: '07:30'
+        }
+    };
+
+    function request(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    async function deleteDatabase() {
+        const req = indexedDB.deleteDatabase(TEST_DB);
+        await new Promise((resolve, reject) => {
+            req.onsuccess = resolve;
+            req.onerror = () => reject(req.error);
+            req.onblocked = resolve;
+        });
+    }
+
+    // The schema as the first version of the app created it, with fixtures
+    async function createVersion1() {
+        await deleteDatabase();
+
+        const open = indexedDB.open(TEST_DB, 1);
+        open.onupgradeneeded = () => {
+            const database = open.result;
+            ['workouts', 'painLogs', 'habits', 'progress'].forEach(name => {
+                database.createObjectStore(name, { keyPath: 'id', autoIncrement: true })
+                    .createIndex('date', 'date', { unique: false });
+            });
+            database.createObjectStore('settings', { keyPath: 'id' });
+        };
+        const database = await request(open);
+
+        const names = ['workouts', 'painLogs', 'habits', 'progress', 'settings'];
+        const transaction = database.transaction(names, 'readwrite');
+        names.forEach(name => {
+            const records = name === 'settings' ? [FIXTURES.settings] : FIXTURES[name];
+            records.forEach(record => transaction.objectStore(name).add(record));
+        });
+        await new Promise((resolve, reject) => {
+            transaction.oncomplete = resolve;
+            transaction.onerror = () => reject(transaction.error);
+        });
+        database.close();
+    }
+
+    async function upgrade() {
+        await createVersion1();
+        return Storage.init(TEST_DB);
+    }
+
+    test('upgrades a v1 database to the current version with every store', async () => {
+        const database = await upgrade();
+        assertEqual(database.version, Storage.DB_VERSION, 'Database version');
+        Object.values(Storage.STORES).forEach(name => {
+            assert(database.objectStoreNames.contains(name), `Missing store "${name}"`);
+        });
+    });
+
+    test('adds the type and level indexes', async () => {
+        const database = await upgrade();
+        const transaction = database.transaction(['habits', 'progress', 'workouts'], 'readonly');
+        assert(transaction.objectStore('habits').indexNames.contains('type'), 'Habits type index missing');
+        assert(transaction.objectStore('progress').indexNames.contains('type'), 'Progress type index missing');
+        assert(transaction.objectStore('workouts').indexNames.contains('level'), 'Workouts level index missing');
+
+        assertEqual((await Storage.getProgressByType('assessment')).map(p => p.timestamp), [6000], 'Assessments by type');
+        assertEqual((await Storage.getWorkoutsForLevel('developing')).map(w => w.timestamp), [2000], 'Workouts by level');
+    });
+
+    test('keeps every fixture record', async () => {
+        await upgrade();
+        for (const name of ['workouts', 'painLogs', 'habits', 'progress']) {
+            const records = await Storage.getAll(name);
+            assertEqual(records.map(r => r.timestamp).sort(), FIXTURES[name].map(r => r.timestamp).sort(), `${name} records`);
+        }
+    });
+
+    test('fills in missing pain log symptom and location lists', async () => {
+        await upgrade();
+        const logs = (await Storage.getAll('painLogs')).sort((a, b) => a.timestamp - b.timestamp);
+        assertEqual([logs[0].symptoms, logs[0].locations], [[], []], 'Lists added to the older log');
+        assertEqual([logs[1].symptoms, logs[1].locations], [['stiffness'], ['lower-back']], 'Existing lists kept');
+    });
+
+    test('moves the workout reminder out of settings', async () => {
+        await upgrade();
+        const reminders = await Storage.getReminders();
+        assertEqual(reminders, [{ id: 'workout', enabled: true, times: ['07:30'] }], 'Reminder schedules');
+
+        const stored = await Storage.get('settings', 'user-settings');
+        assert(!('reminderEnabled' in stored) && !('reminderTime' in stored), 'Reminder fields left in settings');
+        assertEqual([stored.level, stored.holdDuration, stored.darkMode], ['developing', 12, false], 'Other settings kept');
+    });
+
+    test('fills in settings defaults when read', async () => {
+        await upgrade();
+        const settings = await Storage.getSettings();
+        assertEqual(settings.version, Settings.VERSION, 'Settings version');
+        assertEqual(settings.level, 'developing', 'Stored level');
+        assertEqual(settings.restDuration, Settings.SCHEMA.restDuration.default, 'Default rest');
+    });
+
+    // A backup exported by the first version: no schemaVersion, and the
+    // same shape as the v1 fixtures
+    const V1_BACKUP = {
+        workouts: FIXTURES.workouts,
+        painLogs: FIXTURES.painLogs,
+        habits: FIXTURES.habits,
+        progress: FIXTURES.progress,
+        settings: FIXTURES.settings,
+        exportDate: '2024-01-12T08:00:00.000Z'
+    };
+
+    test('imports a v1 backup with its pain logs repaired', async () => {
+        await upgrade();
+        await Storage.importData(JSON.stringify(V1_BACKUP), 'replace');
+        const logs = (await Storage.getAll('painLogs')).sort((a, b) => a.timestamp - b.timestamp);
+        assertEqual([logs[0].symptoms, logs[0].locations], [[], []], 'Lists added to the older log');
+        assertEqual([logs[1].symptoms, logs[1].locations], [['stiffness'], ['lower-back']], 'Existing lists kept');
+    });
+
+    test('imports a v1 backup with its workout reminder moved out of settings', async () => {
+        await upgrade();
+        await Storage.clear('reminders');
+        await Storage.importData(JSON.stringify(V1_BACKUP), 'replace');
+        assertEqual(await Storage.getReminders(), [{ id: 'workout', enabled: true, times: ['07:30'] }], 'Reminder schedules');
+
+        const stored = await Storage.get('settings', 'user-settings');
+        assert(!('reminderEnabled' in stored) && !('reminderTime' in stored), 'Reminder fields left in settings');
+    });
+
+    test('opening an upgraded database again changes nothing', async () => {
+        await upgrade();
+        const before = await Storage.getAll('painLogs');
+        const database = await Storage.init(TEST_DB);
+        assertEqual(database.version, Storage.DB_VERSION, 'Database version');
+        assertEqual(await Storage.getAll('painLogs'), before, 'Pain logs');
+        await deleteDatabase();
+    });
+})();
@@ -0,0 +1,59 @@
+/**
+ * McGill Big 3 - Test Runner
+ * Minimal in-browser runner: tests register with test() and run in order,
+ * with results listed on the page and failures logged to the console
+ */
+
+const TestRunner = (() => {
+    const tests = [];
+
+    function test(name, fn) {
+        tests.push({ name, fn });
+    }
+
+    function assert(condition, message) {
+        if (!condition) throw new Error(message);
+    }
+
+    // Deep equality through JSON, which is enough for stored records
+    function assertEqual(actual, expected, message) {
+        const actualJson = JSON.stringify(actual);
+        const expectedJson = JSON.stringify(expected);
+        if (actualJson !== expectedJson) {
+            throw new Error(`${message}: expected ${expectedJson}, got ${actualJson}`);
+        }
+    }
+
+    // Run every test, returning how many failed
+    async function run() {
+        const list = document.getElementById('results');
+        let failed = 0;
+
+        for (const { name, fn } of tests) {
+            const item = document.createElement('li');
+            try {
+                await fn();
+                item.className = 'pass';
+                item.textContent = `✓ ${name}`;
+            } catch (e) {
+                failed++;
+                item.className = 'fail';
+                item.textContent = `✗ ${name}: ${e.message}`;
+                console.error(name, e);
+            }
+            list.appendChild(item);
+        }
+
+        document.getElementById('summary').textContent = failed > 0
+            ? `${failed} of ${tests.length} failed`
+            : `All ${tests.length} passed`;
+        return failed;
+    }
+
+    return {
+        test,
+        assert,
+        assertEqual,
+        run
+    };
+})();